@@ -1,4 +1,8 @@
 const { IPCModule } = require('node-ipc');
+const crypto        = require('crypto');
+const fs            = require('fs');
+const { Readable }  = require('stream');
+const semver        = require('semver');
 const { Helpers }   = require('./Helpers.js');
 const Packet        = Helpers.Packet;
 const _p            = Helpers._promise;
@@ -6,15 +10,31 @@ const _p            = Helpers._promise;
 class Client {
   /**
     * @param {string} nodeName 
-    *  Name of this node
+    *  Name of this node.  If the SAM_INSTANCE environment variable is set,
+    *  the node joins as 'nodeName@instance', SamCore sets it for each
+    *  instance it starts.  See Helpers.defaultPackage() instances.
     * @param {string} serverName 
     *  Name of the server to connect to
     * @param {bool} isSilent 
     *  Do you want node-ipc to be verbose? (default=true)
+    * @param {json} transport
+    *  How to reach the server.  Left out, the SAM_HOST, SAM_PORT and
+    *  SAM_TLS environment variables are used, and if those are not set,
+    *  the local unix socket.
+    *  - host: host of the server's tcp transport
+    *  - port: port of the server's tcp transport (default=8900)
+    *  - tls: node-ipc tls options { public, private, trustedConnections,
+    *    rejectUnauthorized }, or true to use the defaults
     * @returns this
     */
-  constructor(nodeName, serverName, isSilent=true) {
+  constructor(nodeName, serverName, isSilent=true, transport=null) {
+    if (process.env.SAM_INSTANCE && !nodeName.includes('@')) {
+      nodeName = `${nodeName}@${process.env.SAM_INSTANCE}`;
+    }
+
     this.nodeName          = nodeName;
+    this.service           = Helpers.serviceName(nodeName);
+    if (Helpers.Log.node === null) { Helpers.Log.node = nodeName; }
     this.serverName        = serverName;
 
     this.ipc               = new IPCModule;
@@ -22,8 +42,81 @@ class Client {
     this.ipc.config.retry  = 1500;
     this.ipc.config.silent = isSilent;
 
+    this.transport = (transport !== null) ? transport : Client.transportFromEnv();
+    if (this.transport.host && this.transport.tls) {
+      this.ipc.config.tls = (this.transport.tls === true) ? {} : this.transport.tls;
+    }
+
+    /**
+      * Proves who this node is on nodeInit, { secret } or { privateKey }.
+      * Comes from the SAM_SECRET or SAM_KEY environment variables, SamCore
+      * sets SAM_SECRET for the nodes it starts.  See Helpers.Auth.
+      */
+    this.credentials = Client.credentialsFromEnv();
+
     this.calls     = [];
     this.callBacks = [];
+    this.hooks     = [];
+
+    // Topic patterns and their handlers, see subscribe()
+    this.subscriptions = [];
+
+    // Interceptors this node runs for SamCore, see addInterceptor()
+    this.interceptors  = [];
+
+    // Upgrades of this node's settings, see addMigration()
+    this.migrations    = [];
+
+    // Handlers for changes to settings, see watchSettings()
+    this.settingsWatches = [];
+
+    /**
+      * Open streams keyed by the returnCode of the call that opened them.
+      * Each is a function that handles the stream packets coming in, see
+      * callApiStream() and addStreamCall().
+      */
+    this.streams       = {};
+
+    // Set once run() has loaded everything and told SamCore
+    this.running   = false;
+
+    // Descriptions of this node's api calls, announced to SamCore on nodeInit
+    this.apiInfo   = {};
+
+    /**
+      * Every api call gets its own returnCode built from this node's name, a
+      * random nonce for this instance and a request counter.  'pending' holds
+      * the returnCodes that are still waiting for an answer.
+      */
+    this.instanceId   = crypto.randomBytes(4).toString('hex');
+    this.requestCount = 0;
+    this.pending      = {};
+
+    /**
+      * API calls this node received and has not returned yet.  On shutdown we
+      * wait for these to finish before exiting.  Each is an AbortController
+      * that is aborted if the caller cancels.
+      */
+    this.inFlight     = {};
+
+    // Progress callbacks of our api calls, keyed by returnCode, see callApi()
+    this.progressHandlers = {};
+    this.shuttingDown = false;
+
+    // SamCore tells us when the network is ready, see _networkOperational()
+    this.networkReady   = false;
+    this.onNetworkReady = null;
+
+    // Set while SamCore has let us in, see _connect()
+    this.joined         = false;
+
+    /**
+      * Log records waiting to be shipped to SamCore, see shipLogs().
+      * 'logSink' is null while we are not shipping.
+      */
+    this.logQueue       = [];
+    this.logLevel       = 'info';
+    this.logSink        = null;
 
     return this;
   }
@@ -37,53 +130,629 @@ class Client {
     *   The name of the api call to call
     * @param {all} args
     *   Can be any data type. These are the args required by the api call
-    * @param {integer} timelimit
-    *   The amount of ms to wait before disconnecting or timing out
+    * @param {integer|json} timelimit
+    *   The amount of ms to wait before disconnecting or timing out.  Every
+    *   progress packet from the other node starts the clock over.  0 waits
+    *   forever.  Can also be an options object:
+    *   - timelimit: same as above (default=10000)
+    *   - rejectOnTimeout: throw an ApiTimeoutError instead of returning an
+    *     error packet (default=false)
+    *   - onProgress: function(progress) called with every progress packet
+    *     the other node sends, see progress()
+    *   - signal: AbortSignal to cancel the call.  The other node is told,
+    *     and this returns an error packet with errorCode 'CANCELLED'.
+    *   - returnCode: use this returnCode instead of a new one, see
+    *     newReturnCode()
     */
   async callApi(receiver, apiCall, args={}, timelimit=(10*1000)) {
     if (typeof args !== 'object') { args = {}; }
 
-    return await _p(function(resolve, reject) {
-      /**
-        * The returnCode is to force a unique callback for each api call.  This
-        * allows us to prevent mixing receiving data up with other calls being
-        * made at the same time.
-        */
-      // let returnCode = Date.now();
-
-      let packet = Packet.new({
-        sender:       this.nodeName,
-        receiver:     receiver,
-        apiCall:      apiCall,
-        // returnCode:   returnCode,
-        args:         args
-      });
+    let options = Object.assign(
+      { timelimit: 10*1000, rejectOnTimeout: false, onProgress: null, signal: null, returnCode: null },
+      (typeof timelimit === 'object') ? timelimit : { timelimit: timelimit }
+    );
+
+    let returnCode = (options.returnCode !== null) ? options.returnCode : this.newReturnCode();
+
+    let packet = Packet.new({
+      sender:       this.nodeName,
+      receiver:     receiver,
+      apiCall:      apiCall,
+      returnCode:   returnCode,
+      args:         args
+    });
+
+    if (returnCode in this.pending) {
+      packet.status       = false;
+      packet.errorMessage = `Duplicate returnCode '${returnCode}'!`;
+      return packet;
+    }
+    this.pending[returnCode] = packet;
+
+    let returnCall = `${receiver}.${apiCall}.return.${this.nodeName}.${returnCode}`;
+    let onReturn   = null;
+    let onAbort    = null;
+    let timer      = null;
+    let start      = Date.now();
+
+    try {
+      return await _p(function(resolve, reject) {
+        let timedOut = function() {
+          // Nobody answered, so nobody is going to use this listener.  The
+          // connection may already be gone if the server went away.
+          if (this.ipc.of[this.serverName]) {
+            this.ipc.of[this.serverName].off(returnCall, onReturn);
+          }
+
+          // The other node can stop working on it, and SamCore can forget it
+          this._relay('cancel', packet, { reason: `Timed out after ${options.timelimit}ms` });
+
+          let error = Packet.timeout(packet, Date.now() - start);
+          if (options.rejectOnTimeout) { reject(new Helpers.Errors.ApiTimeoutError(error)); }
+          else                         { resolve(error); }
+        }.bind(this);
+
+        let startClock = function() {
+          clearTimeout(timer);
+          if (options.timelimit !== 0) { timer = setTimeout(timedOut, options.timelimit); }
+        };
+
+        // Progress means the other node is still working on it
+        this.progressHandlers[returnCode] = function(progress) {
+          startClock();
+          if (options.onProgress !== null) { options.onProgress(progress); }
+        };
+
+        // Creates the ipc listener for the return data
+        onReturn = function(packet) {
+          resolve(packet);
+        }.bind(this);
+
+        this.ipc.of[this.serverName].on(
+          returnCall,
+          onReturn,
+          true // setting this true will remove this listener once used
+        );
+
+        if (options.signal !== null) {
+          if (options.signal.aborted) {
+            this.ipc.of[this.serverName].off(returnCall, onReturn);
+            resolve(Packet.cancelled(packet, options.signal.reason));
+            return;
+          }
+
+          onAbort = function() {
+            this.ipc.of[this.serverName].off(returnCall, onReturn);
+            this._relay('cancel', packet, { reason: String(options.signal.reason) });
+            resolve(Packet.cancelled(packet, options.signal.reason));
+          }.bind(this);
+          options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        // Sends out the api call
+        this.ipc.of[this.serverName].emit(
+          receiver == this.serverName ? `${this.serverName}.${apiCall}` :
+            `${this.serverName}.send`,
+          packet
+        );
+        startClock();
+
+      }.bind(this));
+    }
+    finally {
+      clearTimeout(timer);
+      delete this.pending[returnCode];
+      delete this.progressHandlers[returnCode];
+      if (onAbort !== null) { options.signal.removeEventListener('abort', onAbort); }
+    }
+  }
+
+  /**
+    * Start an api call and follow its progress.  The handle this returns
+    * can be used in a 'for await' loop to get every progress packet, and
+    * has:
+    *   - result: promise for the returned packet
+    *   - cancel(reason): cancel the call, see callApi()
+    *
+    *   let call = this.startApiCall('ai', 'chopTrack', { file });
+    *   for await (let progress of call) { ... }
+    *   let packet = await call.result;
+    *
+    * @param {string} receiver
+    *   The node in which you are calling the api call from
+    * @param {string} apiCall
+    *   The name of the api call to call
+    * @param {all} args
+    *   args for the api call
+    * @param {integer|json} timelimit
+    *   Same as callApi()
+    * @returns {json} the handle
+    */
+  startApiCall(receiver, apiCall, args={}, timelimit=(10*1000)) {
+    let options    = (typeof timelimit === 'object') ? Object.assign({}, timelimit) : { timelimit: timelimit };
+    let controller = new AbortController();
+    let queue      = [];
+    let waiting    = null;
+    let finished   = false;
+
+    let push = function(item) {
+      if (waiting !== null) { waiting(item); waiting = null; }
+      else                  { queue.push(item); }
+    };
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => controller.abort(options.signal.reason), { once: true });
+    }
+
+    let onProgress     = options.onProgress || null;
+    options.signal     = controller.signal;
+    options.onProgress = function(progress) {
+      if (onProgress !== null) { onProgress(progress); }
+      push({ value: progress, done: false });
+    };
+
+    let result = this.callApi(receiver, apiCall, args, options).finally(() => {
+      finished = true;
+      push({ value: undefined, done: true });
+    });
+
+    return {
+      result: result,
+      cancel: function(reason='Cancelled by caller') { controller.abort(reason); },
+      [Symbol.asyncIterator]: function() {
+        return {
+          next: function() {
+            if (queue.length > 0) { return Promise.resolve(queue.shift()); }
+            if (finished)         { return Promise.resolve({ value: undefined, done: true }); }
+            return new Promise(resolve => { waiting = resolve; });
+          }
+        };
+      }
+    };
+  }
+
+  /**
+    * Call every node that has an api call, and wait for all of them.  The
+    * nodes are looked up with SamCore's findApi, so the caller does not
+    * need to know which ones there are.
+    *
+    *   let saved = await this.callAll('*', 'saveFile', { file });
+    *
+    * @param {string} receiver
+    *   Nodes to call: '*' for every node that has the api call, a service
+    *   name for all of its instances, or a pattern, see Helpers.wildcard()
+    * @param {string} apiCall
+    *   The name of the api call to call
+    * @param {all} args
+    *   args for the api call
+    * @param {integer|json} timelimit
+    *   Same as callApi(), for each of the calls
+    * @returns {json} packet, see Helpers.Packet.aggregate()
+    */
+  async callAll(receiver, apiCall, args={}, timelimit=(10*1000)) {
+    let packet = Packet.new({ sender: this.nodeName, receiver, apiCall, args, returnCode: false });
+    let nodes  = await this._nodesWith(packet);
+    if (nodes === null) { return packet; }
+
+    let options = this._eachOptions(timelimit);
+    let returns = await Promise.all(nodes.map(node => this.callApi(node, apiCall, args, options)));
+
+    return Packet.aggregate(packet, returns);
+  }
+
+  /**
+    * Call every node that has an api call, and take the first one that
+    * returns without an error.  The calls still out are cancelled.
+    *
+    * @param {string} receiver
+    *   Same as callAll()
+    * @param {string} apiCall
+    *   The name of the api call to call
+    * @param {all} args
+    *   args for the api call
+    * @param {integer|json} timelimit
+    *   Same as callApi(), for each of the calls
+    * @returns {json} the first good packet.  If every node failed, the
+    *   status is false with errorCode 'ALL_FAILED', and the result is the
+    *   same as callAll()'s.
+    */
+  async callFirst(receiver, apiCall, args={}, timelimit=(10*1000)) {
+    let packet = Packet.new({ sender: this.nodeName, receiver, apiCall, args, returnCode: false });
+    let nodes  = await this._nodesWith(packet);
+    if (nodes === null) { return packet; }
 
-      // Creates the ipc listener for the return data
-      this.ipc.of[this.serverName].on(
-        `${receiver}.${apiCall}.return.${this.nodeName}.${packet.returnCode}`,
-        resolve,
-        true // setting this true will remove this listener once used
-      );
+    let options    = this._eachOptions(timelimit);
+    let controller = new AbortController();
+    let signal     = options.signal;
+    let onAbort    = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) { return Packet.cancelled(packet, signal.reason); }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    options.signal = controller.signal;
+
+    let calls = nodes.map(node => this.callApi(node, apiCall, args, options).then(returned => {
+      return returned.status ? returned : Promise.reject(returned);
+    }));
+
+    try {
+      let first = await Promise.any(calls);
+      controller.abort(`'${first.receiver}' returned first`);
+      return first;
+    }
+    catch (error) {
+      if (signal && signal.aborted) { return Packet.cancelled(packet, signal.reason); }
 
-      // // Generates the packet needed to send thru the server
-      // let packet = {
-      //   sender:       this.nodeName,
-      //   receiver:     receiver,
-      //   apiCall:      apiCall,
-      //   returnCode:   returnCode,
-      //   bdata:        data, // used as backup for debugging
-      //   data:         data
-      // };
+      Packet.aggregate(packet, error.errors);
+      packet.errorMessage = `Every node failed '${receiver}.${apiCall}'!`;
+      packet.errorCode    = 'ALL_FAILED';
+      return packet;
+    }
+    finally {
+      if (signal) { signal.removeEventListener('abort', onAbort); }
+    }
+  }
 
-      // Sends out the api call
-      this.ipc.of[this.serverName].emit(
-        receiver == this.serverName ? `${this.serverName}.${apiCall}` :
-          `${this.serverName}.send`,
-        packet
-      );
+  /**
+    * Nodes other than this one that have the api call of the packet and
+    * match its receiver, see callAll().  If there are none, or SamCore
+    * could not be asked, the packet is turned into an error and this
+    * returns null.
+    */
+  async _nodesWith(packet) {
+    let found = await this.callApi(this.serverName, 'findApi', { apiCall: packet.apiCall });
+    if (!found.status) {
+      Object.assign(packet, { status: false, errorMessage: found.errorMessage, errorCode: found.errorCode });
+      return null;
+    }
+
+    let nodes = found.result
+      .filter(info => info.name === packet.apiCall && info.node !== this.nodeName)
+      .map(info => info.node)
+      .filter(node => Helpers.wildcard(packet.receiver, node) ||
+        Helpers.wildcard(packet.receiver, Helpers.serviceName(node)));
+
+    if (nodes.length === 0) {
+      packet.status       = false;
+      packet.errorMessage = `No node matching '${packet.receiver}' has '${packet.apiCall}'!`;
+      packet.errorCode    = 'NO_NODES';
+      return null;
+    }
+    return [...new Set(nodes)];
+  }
+
+  /**
+    * callApi() options for one of several calls made at once.  Each call
+    * needs its own returnCode.
+    */
+  _eachOptions(timelimit) {
+    if (typeof timelimit !== 'object') { return { timelimit: timelimit }; }
+    return Object.assign({}, timelimit, { returnCode: null });
+  }
+
+  /**
+    * Send a progress packet to the node that made an api call.  It also
+    * keeps the caller from timing out, so call it every so often during
+    * long running calls.
+    *
+    * @param {json} packet
+    *   packet received for API call
+    * @param {all} progress
+    *   Anything that can be sent as json, ie. { percent: 40 }
+    */
+  progress(packet, progress) {
+    if ( !(packet.returnCode in this.inFlight) ) { return; }
+    this._relay('progress', packet, { progress: progress });
+  }
+
+  /**
+    * Send a packet to the other node of an api call that has not returned
+    * yet.  SamCore knows who that is from the returnCode.
+    *
+    * @param {string} event
+    *   'stream', 'progress' or 'cancel'
+    * @param {json} packet
+    *   packet of the api call
+    * @param {json} args
+    *   What to send
+    */
+  _relay(event, packet, args) {
+    if (!this.ipc.of[this.serverName]) { return; }
+
+    this.ipc.of[this.serverName].emit(`${this.serverName}.${event}`, Packet.new({
+      sender:     this.nodeName,
+      apiCall:    packet.apiCall,
+      returnCode: packet.returnCode,
+      args:       args
+    }));
+  }
+
+  /**
+    * Send this node's log records to SamCore, it keeps them in the log file
+    * of this node, see Helpers.Log.  Records are held until SamCore has let
+    * us in, past Client.logQueueSize the oldest are dropped.  run() turns
+    * this on, unless it is given shipLogs: false.
+    *
+    * @param {string|bool} level
+    *   Lowest level to ship, or false to stop shipping (default='info')
+    * @returns this
+    */
+  shipLogs(level='info') {
+    if (level === false) {
+      if (this.logSink !== null) { Helpers.Log.removeSink(this.logSink); }
+      this.logSink  = null;
+      this.logQueue = [];
+      return this;
+    }
+
+    this.logLevel = level;
+    if (this.logSink !== null) { return this; }
+
+    this.logSink = Helpers.Log.addSink(function(record, shipped) {
+      if (shipped || !Helpers.Log.enabled(record.level, this.logLevel)) { return; }
+
+      this.logQueue.push(record);
+      if (this.logQueue.length > Client.logQueueSize) { this.logQueue.shift(); }
+      this._flushLogs();
+    }.bind(this));
+
+    return this;
+  }
+
+  _flushLogs() {
+    if (!this.joined || this.logQueue.length === 0 || !this.ipc.of[this.serverName]) { return; }
+
+    this.ipc.of[this.serverName].emit(`${this.serverName}.log`, Packet.new({
+      sender:     this.nodeName,
+      receiver:   this.serverName,
+      apiCall:    'log',
+      returnCode: false,
+      args:       { records: this.logQueue }
+    }));
+    this.logQueue = [];
+  }
+
+  /**
+    * The returnCode is to force a unique callback for each api call.  This
+    * allows us to prevent mixing receiving data up with other calls being
+    * made at the same time.
+    */
+  newReturnCode() {
+    return Packet.newReturnCode(`${this.nodeName}-${this.instanceId}`, ++this.requestCount);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Call an api call added with addStreamCall() and send it binary data
+    * in chunks.  Chunks are only sent as fast as the other node reads them,
+    * and a checksum is checked at the end.
+    *
+    * @param {string} receiver
+    *   The node in which you are calling the api call from
+    * @param {string} apiCall
+    *   The name of the api call to call
+    * @param {string|Buffer|Readable} source
+    *   Path to a file, a Buffer or a readable stream
+    * @param {json} args
+    *   args for the api call, same as callApi()
+    * @param {json} options
+    *   - chunkSize: bytes per chunk (default=65536)
+    *   - window: chunks that can be out before waiting on the other node
+    *     (default=8)
+    *   - timelimit: ms without hearing from the other node before giving up
+    *     (default=10000)
+    *   - size: total bytes, used for progress if source is a stream
+    *   - onProgress: function({ sent, total }) called as chunks are read
+    *   - signal: AbortSignal to cancel the transfer
+    * @returns {json} packet returned by the other node
+    */
+  async callApiStream(receiver, apiCall, source, args={}, options={}) {
+    options = Object.assign({
+      chunkSize: 64*1024, window: 8, timelimit: 10*1000, size: null, onProgress: null, signal: null
+    }, options);
+
+    if (typeof source === 'string') {
+      options.size = fs.statSync(source).size;
+      source       = fs.createReadStream(source, { highWaterMark: options.chunkSize });
+    } else if (Buffer.isBuffer(source)) {
+      options.size = source.length;
+      source       = [source];
+    }
+
+    let returnCode = this.newReturnCode();
+    let controller = new AbortController();
+    let state      = { acked: -1, ready: false, done: false, stalled: false, wake: null, sizes: [], sent: 0 };
+    let packet     = { sender: this.nodeName, apiCall: apiCall, returnCode: returnCode };
+
+    let wake = function() {
+      if (state.wake !== null) { state.wake(); state.wake = null; }
+    };
+    let stop = function(reason) {
+      if (state.done) { return; }
+      state.done = true;
+      this._relay('stream', packet, { type: 'cancel', reason: String(reason) });
+      controller.abort(reason);
+      wake();
+    }.bind(this);
+
+    // Give up if the other node goes quiet
+    let idle;
+    let stillAlive = function() {
+      clearTimeout(idle);
+      idle = setTimeout(function() {
+        state.stalled = true;
+        stop(`No answer from '${receiver}' within ${options.timelimit}ms`);
+      }, options.timelimit);
+    };
+    stillAlive();
+
+    let onAbort = () => stop(options.signal.reason || 'Cancelled by caller');
+    if (options.signal !== null) { options.signal.addEventListener('abort', onAbort, { once: true }); }
+
+    this.streams[returnCode] = function(streamPacket) {
+      let a = streamPacket.args;
+      if (a.type !== 'ack') { return; }
+      stillAlive();
+
+      if (a.seq === 'end') { return; }
+      if (a.seq === -1)    { state.ready = true; }
+
+      state.acked = Math.max(state.acked, a.seq);
+      if (options.onProgress !== null && a.seq >= 0) {
+        let sent = state.sizes.slice(0, state.acked + 1).reduce((sum, size) => sum + size, 0);
+        options.onProgress({ sent: sent, total: options.size });
+      }
+      wake();
+    };
+
+    let pump = async function() {
+      let hash = crypto.createHash('sha256');
+      let seq  = 0;
+
+      for await (let chunk of this._chunks(source, options.chunkSize)) {
+        while ( !state.done && (!state.ready || seq - state.acked > options.window) ) {
+          await new Promise(resolve => { state.wake = resolve; });
+        }
+        if (state.done) { break; }
+
+        hash.update(chunk);
+        state.sizes.push(chunk.length);
+        state.sent += chunk.length;
+        this._relay('stream', packet, { type: 'chunk', seq: seq++, data: chunk.toString('base64') });
+      }
+
+      if (!state.done) {
+        this._relay('stream', packet, { type: 'end', chunks: seq, size: state.sent, checksum: hash.digest('hex') });
+      }
+    }.bind(this);
+
+    let call = this.callApi(receiver, apiCall, args, {
+      timelimit:  0,
+      signal:     controller.signal,
+      returnCode: returnCode
+    });
+
+    // The call can come back early, ie. the other node gave up on it
+    call.then(() => { state.done = true; wake(); });
+
+    try {
+      await pump();
+    } catch (e) {
+      stop(`Could not read the source: ${e.message}`);
+    }
+
+    try {
+      let result = await call;
+      if (state.stalled) { result.errorCode = 'API_TIMEOUT'; }
+      return result;
+    }
+    finally {
+      state.done = true;
+      clearTimeout(idle);
+      delete this.streams[returnCode];
+      if (options.signal !== null) { options.signal.removeEventListener('abort', onAbort); }
+      if (typeof source.destroy === 'function') { source.destroy(); }
+    }
+  }
+
+  /**
+    * Add an api call that receives binary data from callApiStream().
+    *
+    * @param {string} call
+    *  Name of API call
+    * @param {json} options
+    *  Optional, same as addApiCall()
+    * @param {function(stream, packet, signal)} callBack
+    *  Function to run when the api call is called.  'stream' is a Readable
+    *  with the data, it errors if the transfer is cancelled or the checksum
+    *  does not match.  Return the packet as usual once you are done with
+    *  the data.  'signal' is the same as for addApiCall().
+    * @returns this
+    */
+  addStreamCall(call, options, callBack) {
+    if (typeof options === 'function') { callBack = options; options = {}; }
+
+    return this.addApiCall(call, options, function(packet, signal) {
+      return callBack.bind(this)(this._openStream(packet), packet, signal);
+    });
+  }
+
+  /**
+    * Readable for the receiving end of a stream.  Chunks are only acked once
+    * the stream wants more data, that is what slows the sender down.
+    */
+  _openStream(packet) {
+    let hash     = crypto.createHash('sha256');
+    let expected = 0;
+    let size     = 0;
+    let unacked  = [];
+
+    let ack = seq => this._relay('stream', packet, { type: 'ack', seq: seq });
+
+    let stream = new Readable({
+      read() {
+        unacked.splice(0).forEach(ack);
+      }
+    });
+
+    let fail = function(message) {
+      delete this.streams[packet.returnCode];
+      this._relay('stream', packet, { type: 'cancel', reason: message });
+      stream.destroy(new Error(message));
+    }.bind(this);
+
+    this.streams[packet.returnCode] = function(streamPacket) {
+      let a = streamPacket.args;
+
+      if (a.type === 'chunk') {
+        if (a.seq !== expected) { fail(`Chunk ${a.seq} came in out of order!`); return; }
+        expected++;
+
+        let data = Buffer.from(a.data, 'base64');
+        hash.update(data);
+        size += data.length;
+
+        if (stream.push(data)) { ack(a.seq); } else { unacked.push(a.seq); }
+      }
+      else if (a.type === 'end') {
+        delete this.streams[packet.returnCode];
+
+        if (a.size !== size || a.checksum !== hash.digest('hex')) {
+          fail(`Checksum of the stream does not match!`);
+          return;
+        }
+
+        ack('end');
+        stream.push(null);
+      }
+      else if (a.type === 'cancel') {
+        delete this.streams[packet.returnCode];
+        stream.destroy(new Error(`Stream was cancelled: ${a.reason}`));
+      }
+    }.bind(this);
+
+    // Lets the sender know we are ready for chunks
+    ack(-1);
+
+    return stream;
+  }
+
+  /**
+    * Cut whatever the source gives us into chunks of chunkSize.
+    */
+  async *_chunks(source, chunkSize) {
+    let buffered = Buffer.alloc(0);
+
+    for await (let data of source) {
+      buffered = Buffer.concat([buffered, Buffer.from(data)]);
+      while (buffered.length >= chunkSize) {
+        yield buffered.subarray(0, chunkSize);
+        buffered = buffered.subarray(chunkSize);
+      }
+    }
 
-    }.bind(this), timelimit);
+    if (buffered.length > 0) { yield buffered; }
   }
 
   /**
@@ -91,25 +760,53 @@ class Client {
     * 
     * @param {string} call 
     *  Name of API call
-    * @param {function(data)} callBack 
+    * @param {json} options
+    *  Optional, can be left out.
+    *  - args: schema for packet.args, see Helpers.Packet.validateArgs().
+    *    Packets that don't match are returned with an error before the
+    *    callBack runs.
+    *  - description: what the api call does, shown to other nodes
+    *  - version: version of the api call as string '1.0.0'
+    * @param {function(packet, signal)} callBack 
     *  Function to run when API is called. This must include
-    *  'packet' as an argument for the callback function.
+    *  'packet' as an argument for the callback function.  'signal' is an
+    *  AbortSignal that is aborted if the caller cancels the call, long
+    *  running calls should stop and return when it is.
     * @returns this
     */
-  addApiCall(call, callBack) {
+  addApiCall(call, options, callBack) {
+    if (typeof options === 'function') { callBack = options; options = {}; }
+
+    let schema = options.args || null;
+    callBack   = callBack.bind(this);
+
+    this.apiInfo[call] = Helpers.describeApiCall(call, options);
     this.calls.push(`${this.nodeName}.${call}`);
-    this.callBacks.push(callBack.bind(this));
+    this.callBacks.push(function(packet) {
+      if (this.shuttingDown) {
+        this.returnError(packet, `Node '${this.nodeName}' is shutting down!`);
+        return;
+      }
+
+      let controller = new AbortController();
+      if (packet.returnCode !== null) { this.inFlight[packet.returnCode] = controller; }
+      if (schema !== null && !Packet.checkSchema(this, schema, packet)) return;
+
+      return callBack(packet, controller.signal);
+    }.bind(this));
     return this;
   }
 
   /**
-    * Used for adding a hook to another node's API call
+    * Used for adding a hook to another node's API call.  The server only
+    * routes packets to their receiver, so hooks are registered with the
+    * server when this node starts up.
     * 
     * @param {string} call 
     *  For hooking into an API request:
-    *    senderNodeName.apiCall
+    *    apiNodeName.apiCall
     *  For hooking into an API response:
-    *    senderNodeName.apiNodeName.apiCall
+    *    apiNodeName.apiCall.return
     * @param {function(data)} callBack 
     *  Function to run when API is called. This must include
     *  'packet' as an argument for the callback function.
@@ -118,9 +815,282 @@ class Client {
   addHook(call, callBack) {
     this.calls.push(call);
     this.callBacks.push(callBack.bind(this));
+    this.hooks.push(call);
+    return this;
+  }
+
+  /**
+    * Add an interceptor that SamCore runs on routed api calls between other
+    * nodes.  Before delivery it can change packet.args or veto the call by
+    * setting packet.status to false, on the return it can change the result.
+    * See Server.addInterceptor().  Must be added before run().
+    *
+    * @param {string} pattern
+    *  'receiver.apiCall' to intercept, wildcards allowed, ie. '*.upload*'
+    * @param {json} options
+    *  - priority: higher runs first before delivery, last on the return
+    *    (default=0)
+    *  - before: function(packet, info) to run before delivery
+    *  - after: function(packet, info) to run on the return, info.elapsed
+    *    is the ms the call took
+    *  Both can be async.
+    * @returns this
+    */
+  addInterceptor(pattern, options={}) {
+    this.interceptors.push({
+      pattern:  pattern,
+      priority: options.priority || 0,
+      before:   options.before ? options.before.bind(this) : null,
+      after:    options.after  ? options.after.bind(this)  : null
+    });
+    return this;
+  }
+
+  /**
+    * Add an upgrade of this node's settings.  When the node starts after
+    * being updated, every migration for a version after the one its
+    * settings were written for, up to the version installed, runs in
+    * order.  The upgraded settings are then stored by SamCore.  This
+    * happens before onInit, if a migration throws the node exits.
+    *
+    *   myNode.addMigration('2.0.0', function(settings) {
+    *     settings.folders = [settings.folder];
+    *     delete settings.folder;
+    *   });
+    *
+    * @param {string} version
+    *  Version of this node the migration upgrades the settings to
+    * @param {function(settings, from, to)} migration
+    *  Changes the settings in place, or returns new ones.  Can be async.
+    * @returns this
+    */
+  addMigration(version, migration) {
+    this.migrations.push({ version: version, migration: migration.bind(this) });
+    return this;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Run the migrations the settings of this node need, see addMigration().
+    *
+    * @returns {json} packet, status is false if the settings could not be
+    *  upgraded
+    */
+  async _migrateSettings() {
+    let packet = await this.callApi(this.serverName, 'getSettingsMigration');
+    if (!packet.status) { return packet; }
+
+    let { settings, from, to } = packet.result;
+    if ( !semver.valid(from) || !semver.valid(to) || !semver.gt(to, from) ) { return packet; }
+
+    let migrations = this.migrations
+      .filter(m => semver.gt(m.version, from) && semver.lte(m.version, to))
+      .sort((a, b) => semver.compare(a.version, b.version));
+
+    for (let m of migrations) {
+      try {
+        let upgraded = await m.migration(settings, from, to);
+        if (upgraded !== undefined) { settings = upgraded; }
+      } catch (e) {
+        packet.status       = false;
+        packet.errorMessage = `Settings migration to ${m.version} failed: ${e.message}`;
+        return packet;
+      }
+    }
+
+    return await this.callApi(this.serverName, 'migrateSettings', { settings, from, to });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Publish a payload to a topic.  SamCore sends it to every node that
+    * subscribed to a matching pattern.
+    *
+    * @param {string} topic
+    *  Topic split on dots, ie. 'gdrive.uploadFinished'
+    * @param {all} payload
+    *  Anything that can be sent as json
+    * @returns {json} packet, result is the number of nodes it was sent to
+    */
+  async publish(topic, payload) {
+    return await this.callApi(this.serverName, 'publish', {
+      topic:   topic,
+      payload: payload
+    });
+  }
+
+  /**
+    * Run a handler for everything published to topics matching a pattern.
+    * Can be used before or after run().
+    *
+    * @param {string} pattern
+    *  Topic pattern, '*' matches one part and '**' any number of parts, ie.
+    *  'gdrive.*' or 'uploads.**'
+    * @param {function(payload, packet)} handler
+    *  Function to run, packet.args.topic is the topic it was published to
+    *  and packet.sender is the node that published it
+    * @returns this
+    */
+  subscribe(pattern, handler) {
+    let isNew = !this.subscriptions.some(s => s.pattern === pattern);
+    this.subscriptions.push({ pattern: pattern, handler: handler.bind(this) });
+
+    if (this.running && isNew) { this._subscribe(pattern); }
+    return this;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Remove every handler for a pattern and stop getting its topics.
+    *
+    * @param {string} pattern
+    *  The same pattern that was given to subscribe()
+    */
+  async unsubscribe(pattern) {
+    this.subscriptions = this.subscriptions.filter(s => s.pattern !== pattern);
+    return await this.callApi(this.serverName, 'unsubscribe', { pattern: pattern });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Get one of this node's settings.
+    *
+    * @param {string} path
+    *  Dot separated path in the settings, ie. 'upload.folder', null for all
+    *  of them
+    * @param {string} node
+    *  Read another node's settings instead, it must be allowed to call the
+    *  node's 'getSetting'
+    * @returns {json} packet, result is { value, revision }
+    */
+  async getSetting(path=null, node=null) {
+    let args = {};
+    if (path !== null) { args.path = path; }
+    if (node !== null) { args.node = node; }
+
+    return await this.callApi(this.serverName, 'getSetting', args);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Set one of this node's settings.  With a revision from getSetting(),
+    * it is only set if nothing changed the settings since, otherwise the
+    * packet's errorCode is 'CONFLICT' and the result has the current
+    * revision.
+    *
+    * @returns {json} packet, result is { revision } with the new revision
+    */
+  async setSetting(path, value, revision=null) {
+    let args = { path: path, value: value };
+    if (revision !== null) { args.revision = revision; }
+
+    return await this.callApi(this.serverName, 'setSetting', args);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Remove one of this node's settings, see setSetting().
+    */
+  async deleteSetting(path, revision=null) {
+    let args = { path: path };
+    if (revision !== null) { args.revision = revision; }
+
+    return await this.callApi(this.serverName, 'deleteSetting', args);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Get one of this node's secrets, ie. an OAuth token.  SamCore keeps
+    * them encrypted, apart from the settings.  The value is redacted from
+    * this node's logs from now on, see Helpers.Redact.
+    *
+    * @param {string} name
+    *  Name of the secret, ie. 'driveToken'
+    * @returns {json} packet, result is the value
+    */
+  async getSecret(name) {
+    let packet = await this.callApi(this.serverName, 'getSecret', { name: name });
+    if (packet.status) { Helpers.Redact.add(packet.result); }
+    return packet;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Store one of this node's secrets, see getSecret().
+    *
+    * @param {string} name
+    *  Name of the secret, ie. 'driveToken'
+    * @param {all} value
+    *  Anything that can be sent as json
+    */
+  async setSecret(name, value) {
+    Helpers.Redact.add(value);
+    return await this.callApi(this.serverName, 'setSecret', { name: name, value: value });
+  }
+
+  async deleteSecret(name) {
+    return await this.callApi(this.serverName, 'deleteSecret', { name: name });
+  }
+
+  /**
+    * Run a handler whenever the settings of a node change.  This node
+    * always gets its own changes, for any other node it must be allowed
+    * to call the node's 'settingsChanged'.  Can be used before or after
+    * run().
+    *
+    * @param {string} node
+    *  Node whose settings to watch, null for this node
+    * @param {function(change, packet)} handler
+    *  Function to run, change is { node, path, value, revision, deleted }.
+    *  path is null when all of the settings were replaced.
+    * @returns this
+    */
+  watchSettings(node, handler) {
+    node = Helpers.serviceName(node || this.service);
+
+    let isNew = !this.settingsWatches.some(w => w.node === node);
+    this.settingsWatches.push({ node: node, handler: handler.bind(this) });
+
+    if (this.running && isNew && node !== this.service) { this._watchSettings(node); }
     return this;
   }
 
+  /**
+    * ASYNC
+    *
+    * Remove every handler for a node's settings.
+    */
+  async unwatchSettings(node) {
+    node = Helpers.serviceName(node || this.service);
+    this.settingsWatches = this.settingsWatches.filter(w => w.node !== node);
+
+    return await this.callApi(this.serverName, 'unwatchSettings', { node: node });
+  }
+
+  async _watchSettings(node) {
+    let packet = await this.callApi(this.serverName, 'watchSettings', { node: node });
+    if (!packet.status) {
+      Helpers.log({leader: 'error', loud: true}, `Could not watch the settings of '${node}':`, packet.errorMessage);
+    }
+    return packet;
+  }
+
+  async _subscribe(pattern) {
+    let packet = await this.callApi(this.serverName, 'subscribe', { pattern: pattern });
+    if (!packet.status) {
+      Helpers.log({leader: 'error', loud: true}, `Could not subscribe to '${pattern}':`, packet.errorMessage);
+    }
+    return packet;
+  }
+
   /**
     * Return data back from an API Call 
     * 
@@ -132,6 +1102,8 @@ class Client {
     // if ( !('status' in packet.data) ) {
     //   packet.data.status = true;
     // }
+    delete this.inFlight[packet.returnCode];
+    delete this.streams[packet.returnCode];
     this.ipc.of[this.serverName].emit(`${this.serverName}.return`, packet);
   }
 
@@ -167,14 +1139,23 @@ class Client {
     * Used to start up the IPC connection.  This function MUST
     * be called. 
     * 
-    * @param {function} onConnect 
-    *  Optional main function call for this Node.  Called after
-    *  connection to server is established.
+    * @param {json} args
+    *  - onInit: Optional function called once the network is operational,
+    *    before this node's api calls are loaded.
+    *  - onConnect: Optional main function call for this Node.  Called after
+    *    connection to server is established.
+    *  - onShutdown: Optional function(deadline) called when SamCore is
+    *    shutting down or this process gets SIGINT/SIGTERM/SIGHUP.  Use it to
+    *    wrap up any work, it has until the deadline (ms) to finish.
+    *  - shutdownDeadline: ms to use as the deadline when shutdown was
+    *    triggered by a signal instead of SamCore (default=10000)
     */
   // run(onConnect=null) {
   async run(args) {
     // args is being checked before being used below.
 
+    this.shipLogs(('shipLogs' in args) ? args.shipLogs : this.logLevel);
+
     /**
       * Make sure we establish connection first
       */
@@ -185,9 +1166,24 @@ class Client {
       * is responsible for restarting all nodes in the network.
       */
     this.ipc.of[this.serverName].on('disconnect', function() {
+      this.joined = false;
       this.ipc.disconnect(this.serverName);
     }.bind(this));
 
+    /**
+      * SamCore is going down.  Finish up whatever we are doing and exit.
+      */
+    this.ipc.of[this.serverName].on('shutdown', function(packet) {
+      this._shutdown(args.onShutdown, packet.args.deadline);
+    }.bind(this));
+
+    let deadline = ('shutdownDeadline' in args) ? args.shutdownDeadline : 10*1000;
+    ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => {
+      process.on(signal, function() {
+        this._shutdown(args.onShutdown, deadline);
+      }.bind(this));
+    });
+
     /**
       * Built-in for sending messages to other nodes.  Easy way
       * to be able to debug connection issues.
@@ -196,11 +1192,38 @@ class Client {
       Helpers.log({leader: 'arrow', loud: true}, `Message from '${packet.sender}':`, packet.args.message);
     }.bind(this));
 
+    // Chunks, acks and cancels of open streams
+    this.ipc.of[this.serverName].on('stream', function(packet) {
+      if (packet.returnCode in this.streams) { this.streams[packet.returnCode](packet); }
+    }.bind(this));
+
+    // Progress of the api calls we made
+    this.ipc.of[this.serverName].on('progress', function(packet) {
+      if (packet.returnCode in this.progressHandlers) {
+        this.progressHandlers[packet.returnCode](packet.args.progress);
+      }
+    }.bind(this));
+
+    // The node that called us gave up on the call
+    this.ipc.of[this.serverName].on('cancel', function(packet) {
+      if (packet.returnCode in this.inFlight) {
+        this.inFlight[packet.returnCode].abort(packet.args.reason);
+      }
+    }.bind(this));
+
     /**
       * Make sure server gives go-ahead before loading custom api calls
       */
     await this._networkOperational();
 
+    if (this.migrations.length > 0) {
+      let migrated = await this._migrateSettings();
+      if (!migrated.status) {
+        Helpers.log({leader: 'error', loud: true}, `Could not upgrade the settings of '${this.nodeName}':`, migrated.errorMessage);
+        process.exit(1);
+      }
+    }
+
     if ('onInit' in args) { await (args.onInit.bind(this))(); }
 
     /**
@@ -210,6 +1233,74 @@ class Client {
       this.ipc.of[this.serverName].on(this.calls[i], this.callBacks[i]);
     }
 
+    /**
+      * Let the server know which traffic this node wants to observe
+      */
+    for (let i=0; i<this.hooks.length; i++) {
+      await this.callApi(this.serverName, 'addHook', { event: this.hooks[i] });
+    }
+
+    /**
+      * Published topics come in on one event, every handler with a matching
+      * pattern gets a copy.
+      */
+    this.ipc.of[this.serverName].on('publish', function(packet) {
+      this.subscriptions.forEach(s => {
+        if (Helpers.wildcard(s.pattern, packet.args.topic)) { s.handler(packet.args.payload, packet); }
+      });
+    }.bind(this));
+
+    this.ipc.of[this.serverName].on('settingsChanged', function(packet) {
+      this.settingsWatches.forEach(w => {
+        if (w.node === packet.args.node) { w.handler(packet.args, packet); }
+      });
+    }.bind(this));
+
+    /**
+      * SamCore hands us packets to run thru our interceptors.  Whatever the
+      * interceptor leaves in the packet goes back.
+      */
+    this.ipc.of[this.serverName].on('intercept', async function(call) {
+      let interceptor = this.interceptors[call.args.id];
+      let packet      = call.args.packet;
+
+      try {
+        await interceptor[call.args.stage](packet, call.args.info);
+      } catch (e) {
+        packet.status       = false;
+        packet.errorMessage = `Interceptor '${interceptor.pattern}' of '${this.nodeName}' failed: ${e.message}`;
+        packet.errorCode    = 'INTERCEPTOR_FAILED';
+      }
+
+      this.ipc.of[this.serverName].emit(`${this.serverName}.interceptDone`, call);
+    }.bind(this));
+
+    for (let i=0; i<this.interceptors.length; i++) {
+      let interceptor = this.interceptors[i];
+      await this.callApi(this.serverName, 'addInterceptor', {
+        id:       i,
+        pattern:  interceptor.pattern,
+        priority: interceptor.priority,
+        stages:   ['before', 'after'].filter(stage => interceptor[stage] !== null)
+      });
+    }
+
+    let patterns = [...new Set(this.subscriptions.map(s => s.pattern))];
+    for (let i=0; i<patterns.length; i++) {
+      await this._subscribe(patterns[i]);
+    }
+
+    let watched = [...new Set(this.settingsWatches.map(w => w.node))].filter(n => n !== this.service);
+    for (let i=0; i<watched.length; i++) {
+      await this._watchSettings(watched[i]);
+    }
+    this.running = true;
+
+    /**
+      * Let everyone waiting on this node know we are ready
+      */
+    await this.callApi(this.serverName, 'nodeReady');
+
     /**
       * Here is the main loop function for this node.  It uses the
       * onConnect callback if it exists.
@@ -223,7 +1314,16 @@ class Client {
         * This establishes the connection between this node and the Server,
         * SamCore. Documentation can be found in the node-ipc github repo.
         */
-      this.ipc.connectTo(this.serverName, async function() {
+      let connectTo = this.transport.host ?
+        this.ipc.connectToNet.bind(this.ipc, this.serverName, this.transport.host, this.transport.port || 8900) :
+        this.ipc.connectTo.bind(this.ipc, this.serverName);
+
+      connectTo(async function() {
+        // SamCore pushes this once all nodes are allowed to start
+        this.ipc.of[this.serverName].on('networkReady', function() {
+          this._setNetworkReady();
+        }.bind(this));
+
         // When connection is established, run nodeInit
         this.ipc.of[this.serverName].on('connect', async function() {
           /**
@@ -231,35 +1331,152 @@ class Client {
             * send it's node name to the server so the server can collect
             * the socket connection for future use.
             */
-          await this.callApi(this.serverName, 'nodeInit', { name: this.nodeName });
+          let args = {
+            name:     this.nodeName,
+            apiCalls: Object.values(this.apiInfo)
+          };
+          if (this.credentials !== null) {
+            args.auth = Helpers.Auth.proof(this.nodeName, this.credentials);
+          }
+
+          let packet = await this.callApi(this.serverName, 'nodeInit', args);
+
+          // Not much a node can do if it is not let in
+          if (!packet.status && packet.errorCode !== 'API_TIMEOUT') {
+            Helpers.log({leader: 'error', loud: true}, `Could not join the network:`, packet.errorMessage);
+            process.exit(78); // see Supervisor.configExitCode
+          }
+
+          if (packet.status) {
+            this.joined = true;
+            this._flushLogs();
+          }
+
+          // If the network was already up, nodeInit tells us right away
+          if (packet.result && packet.result.networkReady) { this._setNetworkReady(); }
           resolve();
         }.bind(this));
       }.bind(this));
     }.bind(this), (10*1000));
   }
 
+  /**
+    * Waits until SamCore says the network is ready.  No polling, SamCore
+    * pushes a 'networkReady' event.
+    */
   async _networkOperational() {
-    let answer = false;
-
-    while (!answer) {
-      let packet = await this.callApi(this.serverName, 'greenLight');
-      // if (packet.data.result === true) {
-      if (packet.result === true) {
-        answer = true;
-        // Helpers.log({leader: 'highlight', loud: false}, 'GO!');
-      } else {
-        // Helpers.log({leader: 'highlight', loud: false}, 'Waiting for green light..');
-        await this._timeout(1000);
-      }
+    if (this.networkReady) { return true; }
+
+    return await _p(function(resolve, reject) {
+      this.onNetworkReady = resolve;
+    }.bind(this));
+  }
+
+  _setNetworkReady() {
+    this.networkReady = true;
+
+    if (this.onNetworkReady !== null) {
+      this.onNetworkReady(true);
+      this.onNetworkReady = null;
     }
+  }
 
-    return answer;
+  /**
+    * Wait for another node to be ready to take api calls.
+    *
+    * @param {string} name
+    *  Name of the node to wait for
+    * @param {integer} timelimit
+    *  ms to wait before giving up (default=30000)
+    * @returns {json} packet, status is false if the node was not ready in time
+    */
+  async waitForNode(name, timelimit=(30*1000)) {
+    return await this.callApi(
+      this.serverName,
+      'waitForNode',
+      { name: name, state: 'ready', timelimit: timelimit },
+      timelimit + 1000 // leave SamCore time to answer first
+    );
+  }
+
+  /**
+    * Stops taking new api calls, runs the onShutdown callback and waits for
+    * all in-flight api calls to finish, or for the deadline to pass, before
+    * exiting.
+    *
+    * @param {function} onShutdown
+    *  Optional callback from run()
+    * @param {integer} deadline
+    *  ms we have to finish up
+    */
+  async _shutdown(onShutdown, deadline) {
+    // SamCore and the terminal can both tell us to shut down
+    if (this.shuttingDown) { return; }
+    this.shuttingDown = true;
+
+    let endTime = Date.now() + deadline;
+
+    if (typeof onShutdown === 'function') {
+      await _p(function(resolve, reject) {
+        Promise.resolve((onShutdown.bind(this))(deadline)).then(resolve, resolve);
+      }.bind(this), deadline);
+    }
+
+    while (Date.now() < endTime &&
+      Object.keys(this.inFlight).length + Object.keys(this.pending).length > 0)
+    {
+      await this._timeout(100);
+    }
+
+    this.ipc.disconnect(this.serverName);
+    process.exit(0);
   }
 
   async _timeout(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+    * Credentials from the environment.  SAM_SECRET is the shared secret,
+    * SAM_KEY is the path to a private key file.
+    *
+    * @returns {json} { secret } or { privateKey }, or null
+    */
+  static credentialsFromEnv() {
+    let env = process.env;
+
+    if (env.SAM_SECRET) { return { secret: env.SAM_SECRET }; }
+    if (env.SAM_KEY)    { return { privateKey: fs.readFileSync(env.SAM_KEY, 'utf8') }; }
+
+    return null;
+  }
+
+  /**
+    * Finds the server's tcp transport from the environment:
+    *   SAM_HOST=192.168.1.20 SAM_PORT=8900 SAM_TLS=/path/to/server.pub
+    * SAM_TLS can be 'true' to use tls with the defaults, or the path to the
+    * server's public cert to trust.  If SAM_HOST is not set, the local unix
+    * socket is used.
+    */
+  static transportFromEnv() {
+    let env = process.env;
+    if (!env.SAM_HOST) { return {}; }
+
+    let transport = {
+      host: env.SAM_HOST,
+      port: env.SAM_PORT ? parseInt(env.SAM_PORT) : 8900,
+      tls:  false
+    };
+
+    if (env.SAM_TLS === 'true') {
+      transport.tls = true;
+    } else if (env.SAM_TLS) {
+      transport.tls = { trustedConnections: env.SAM_TLS, rejectUnauthorized: true };
+    }
+
+    return transport;
+  }
+
 }
 
 
@@ -285,4 +1502,7 @@ function main() {
 
 // main(); // uncomment to use example code
 
+// Log records held while not connected, see shipLogs()
+Client.logQueueSize = 1000;
+
 module.exports = { Client };
@@ -6,6 +6,7 @@ const  setValue      = require("set-value")
 const  fs            = require("fs")
 const  iterateObject = require("iterate-object")
 const  os            = require('os')
+const { Helpers }    = require('./Helpers.js')
 
 class EditJsonFile {
   /**
@@ -21,6 +22,14 @@ class EditJsonFile {
     *  - `stringify_eol` (Boolean): Wheter to add the new line at the end of the file or not (default: `false`)
     *  - `ignore_dots` (Boolean): Wheter to use the path including dots or have an object structure (default: `false`)
     *  - `autosave` (Boolean): Save the file when setting some data in it.
+    *  - `autosave_delay` (Number): When above `0`, autosave waits this many
+    *    ms so every change made in that time lands in a single write, and
+    *    writes without blocking.  Use `flush()` to make sure it is written
+    *    (default: `0`, save right away).
+    *  - `defaultContents` (String): What a new file starts with (default: `'{}'`).
+    *  - `backups` (Number): Versions written to keep as `<path>.bak.1`
+    *    (newest) to `<path>.bak.<backups>` (default: `5`).  The contents a
+    *    new file starts with are not kept.
     *
     * @returns {JsonEditor} The `JsonEditor` instance.
     */
@@ -29,16 +38,31 @@ class EditJsonFile {
       path = path.join('.');
     }
 
-    if ( !fs.existsSync(path) ) {
-      fs.writeFileSync(path, options.defaultContents || {});
-    }
-
     this.options            = options = options || {}
     options.stringify_width = options.stringify_width || 2
     options.stringify_fn    = options.stringify_fn || null
     options.stringify_eol   = options.stringify_eol || false
     options.ignore_dots     = options.ignore_dots || false;
+    options.backups         = ('backups' in options) ? options.backups : 5
+    options.autosave_delay  = options.autosave_delay || 0
     this.path               = path
+
+    /**
+      * Every change counts up 'version'.  'queued' is the newest version
+      * handed to a write, 'saved' the newest one on disk.  See flush().
+      */
+    this.version            = 0
+    this.queued             = 0
+    this.saved              = 0
+    this.timer              = null
+    this.writing            = null
+    this.temps              = 0
+    this.batching           = 0
+
+    if ( !fs.existsSync(path) && this.backups().length === 0 ) {
+      this.write(options.defaultContents || '{}', false);
+    }
+
     this.data               = this.read()
   }
 
@@ -67,12 +91,99 @@ class EditJsonFile {
     } else {
       setValue(this.data, path, value, options)
     }
-    if (this.options.autosave) {
-      this.save()
+    this.changed()
+    return this
+  }
+
+  /**
+    * batch
+    * Make several changes that are saved in a single write.  If `fn` throws,
+    * every change it made is undone and the error is thrown again.  `fn`
+    * must be synchronous, a batch inside a batch joins the outer one.
+    *
+    *   db.batch(db => {
+    *     db.set('a', 1)
+    *     db.set('b', 2)
+    *   })
+    *
+    * @name batch
+    * @function
+    * @param {Function} fn Called with the `JsonEditor` instance.
+    * @returns {JsonEditor} The `JsonEditor` instance.
+    */
+  batch (fn) {
+    if (this.batching > 0) {
+      fn(this)
+      return this
+    }
+
+    const before = JSON.stringify(this.data)
+    this.batching++
+    try {
+      fn(this)
+    } catch (error) {
+      this.data = JSON.parse(before)
+      throw error
+    } finally {
+      this.batching--
     }
+
+    this.changed()
     return this
   }
 
+  /**
+    * changed
+    * Called after every change, autosaves unless a batch is running.
+    *
+    * @name changed
+    * @function
+    */
+  changed () {
+    this.version++
+    if (!this.options.autosave || this.batching > 0) { return }
+
+    if (this.options.autosave_delay === 0) {
+      this.save()
+    } else if (this.timer === null) {
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.flush().catch(error => {
+          Helpers.log({leader: 'error', loud: true}, `Could not save '${this.path}':`, error.message)
+        })
+      }, this.options.autosave_delay)
+    }
+  }
+
+  /**
+    * flush
+    * Write every change that is not on disk yet, and wait for writes that
+    * are already going.
+    *
+    * @name flush
+    * @function
+    * @returns {Promise} Resolves once the file is up to date.
+    */
+  async flush () {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    while (this.writing !== null || this.queued < this.version) {
+      if (this.writing === null) {
+        const version = this.version
+        this.queued   = version
+        this.writing  = this.writeAsync(this.serialize(), version)
+          .catch(error => {
+            // Try it again on the next flush
+            this.queued = this.saved
+            throw error
+          })
+          .finally(() => { this.writing = null })
+      }
+      await this.writing
+    }
+  }
+
   /**
     * get
     * Get a value in a specific path.
@@ -164,15 +275,25 @@ class EditJsonFile {
 
   /**
     * read
-    * Read the JSON file.
+    * Read the JSON file.  If it is missing or can not be parsed, ie. a write
+    * was cut off, it is put back from the newest backup that can be parsed
+    * and a warning is logged.
     *
     * @name read
     * @function
     * @param {Function} cb An optional callback function which will turn the function into an asynchronous one.
-    * @returns {Object} The object parsed as object or an empty object by default.
+    * @returns {Object} The object parsed as object.  Throws if neither the
+    *  file nor any backup can be parsed.
     */
   read (/*cb*/) {
-    return JSON.parse(fs.readFileSync(this.path));
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.path))
+    } catch (error) {
+      data = this.recover(error)
+    }
+
+    return data
 
     // if (!cb) {
     //     try {
@@ -187,18 +308,78 @@ class EditJsonFile {
     // })
   }
 
+  /**
+    * recover
+    * Put the file back from the newest backup that can be parsed.
+    *
+    * @name recover
+    * @function
+    * @param {Error} error Why the file could not be read.
+    * @returns {Object} The object parsed from the backup.
+    */
+  recover (error) {
+    for (let backup of this.backups()) {
+      let content, data
+      try {
+        content = fs.readFileSync(backup, 'utf8')
+        data    = JSON.parse(content)
+      } catch (e) {
+        continue
+      }
+
+      Helpers.log(
+        {leader: 'warning', loud: true},
+        `'${this.path}' could not be read (${error.message}), recovered it from '${backup}'.`
+      )
+
+      // It is a backup already
+      this.write(content, false)
+      return data
+    }
+
+    throw error
+  }
+
+  /**
+    * backups
+    * Backups of the file that exist, newest first.
+    *
+    * @name backups
+    * @function
+    * @returns {Array} The paths of the backups.
+    */
+  backups () {
+    let backups = []
+    for (let i = 1; i <= this.options.backups; i++) {
+      if (fs.existsSync(`${this.path}.bak.${i}`)) { backups.push(`${this.path}.bak.${i}`) }
+    }
+    return backups
+  }
+
   /**
     * write
-    * Write the JSON file.
+    * Write the JSON file.  The content goes to a temp file first, which
+    * then replaces the file in one rename, so a crash can never leave half
+    * a file behind.  A copy of the new version becomes `<path>.bak.1`.
     *
-    * @name read
+    * @name write
     * @function
     * @param {String} The file content.
+    * @param {Boolean} backup Keep a copy of the content (default: `true`).
     * @param {Function} cb An optional callback function which will turn the function into an asynchronous one.
     * @returns {JsonEditor} The `JsonEditor` instance.
     */
-  write (content/*, cb*/) {
-    fs.writeFileSync(this.path, content);
+  write (content, backup=true/*, cb*/) {
+    const temp = this.tempPath()
+    const fd   = fs.openSync(temp, 'w')
+    try {
+      fs.writeFileSync(fd, content)
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+
+    this.commit(temp, backup)
 
     // if (cb) {
     //     fs.writeFile(this.path, content, cb)
@@ -208,6 +389,76 @@ class EditJsonFile {
     // return this
   }
 
+  /**
+    * writeAsync
+    * Same as `write()`, only the temp file is written without blocking.  If
+    * a newer version of the data was saved while this one was being
+    * written, this one is thrown away.
+    *
+    * @name writeAsync
+    * @function
+    * @param {String} content The file content.
+    * @param {Number} version The version of the data in `content`.
+    * @returns {Promise}
+    */
+  async writeAsync (content, version) {
+    const temp = this.tempPath()
+    const file = await fs.promises.open(temp, 'w')
+    try {
+      await file.writeFile(content)
+      await file.sync()
+    } finally {
+      await file.close()
+    }
+
+    if (this.saved >= version) {
+      await fs.promises.rm(temp, { force: true })
+      return
+    }
+
+    this.commit(temp, true)
+    this.saved = version
+  }
+
+  /**
+    * commit
+    * Put a written temp file in place of the file, and keep a copy of it as
+    * `<path>.bak.1`.  It does not wait on anything, so a `save()` can never
+    * land between moving the backups and the rename.
+    *
+    * @name commit
+    * @function
+    * @param {String} temp The temp file, see `tempPath()`.
+    * @param {Boolean} backup Keep a copy of it.
+    */
+  commit (temp, backup) {
+    if (backup && this.options.backups > 0) {
+      for (let i = this.options.backups; i > 1; i--) {
+        if (fs.existsSync(`${this.path}.bak.${i - 1}`)) {
+          fs.renameSync(`${this.path}.bak.${i - 1}`, `${this.path}.bak.${i}`)
+        }
+      }
+
+      // A copy, a link would share the file if it ever got changed in place
+      fs.copyFileSync(temp, `${this.path}.bak.1`)
+    }
+
+    fs.renameSync(temp, this.path)
+  }
+
+  /**
+    * tempPath
+    * A new temp file next to the file, writes going at the same time never
+    * share one.
+    *
+    * @name tempPath
+    * @function
+    * @returns {String}
+    */
+  tempPath () {
+    return `${this.path}.${process.pid}.${++this.temps}.tmp`
+  }
+
   /**
     * empty
     * Empty the JSON file content.
@@ -231,14 +482,32 @@ class EditJsonFile {
     * @returns {JsonEditor} The `JsonEditor` instance.
     */
   save (/*cb*/) {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const version = this.version
+    this.write(this.serialize()/*, cb*/);
+    this.saved  = Math.max(this.saved, version)
+    this.queued = Math.max(this.queued, version)
+    return this
+  }
+
+  /**
+    * serialize
+    * The data as it is written to the file.
+    *
+    * @name serialize
+    * @function
+    * @returns {String}
+    */
+  serialize () {
     const data = JSON.stringify(
       this.data,
       this.options.stringify_fn,
       this.options.stringify_width,
       this.options.stringify_eol
     )
-    this.write(this.options.stringify_eol ? data + os.EOL : data/*, cb*/);
-    return this
+    return this.options.stringify_eol ? data + os.EOL : data
   }
 
   /**
@@ -1,7 +1,9 @@
-const fs   = require('fs');
-const fse  = require('fs-extra');
-const exec = require('child_process').exec;
-const path = require('path');
+const fs     = require('fs');
+const fse    = require('fs-extra');
+const crypto = require('crypto');
+const exec   = require('child_process').exec;
+const path   = require('path');
+const util   = require('util');
 
 let Helpers = {
   /**
@@ -13,8 +15,11 @@ let Helpers = {
     *   Function to call during promise
     * @param {integer} timelimit
     *   How long in MS to wait until we call an error
+    * @param {function} onTimeout
+    *   Optional function called when the time is up.  Whatever it returns is
+    *   what the promise resolves with, if it throws the promise rejects.
     */
-  async _promise(call, timelimit=0) {
+  async _promise(call, timelimit=0, onTimeout=null) {
     let timer;
     let race = [(async () => { return await new Promise(call); })()];
 
@@ -24,7 +29,8 @@ let Helpers = {
           await new Promise((resolve, reject) => {
             timer = setTimeout(resolve, timelimit);
           })
-          return { data: { status: false, errorMessage: 'API Timeout!' } };
+          if (onTimeout !== null) { return onTimeout(); }
+          return { status: false, errorMessage: 'Timeout!', errorCode: 'API_TIMEOUT' };
         })()
       );
     }
@@ -34,7 +40,8 @@ let Helpers = {
 
   /**
    * A high powered logging function capable of being shut off and
-   * manipulated very easily within the SAM network.
+   * manipulated very easily within the SAM network.  Besides printing, every
+   * message becomes a record that is handed to Helpers.Log, see there.
    * 
    * @param  {json} args
    *    An object that can send a variety of different settings to
@@ -49,6 +56,15 @@ let Helpers = {
    *    - 'error': >>>>>
    *    - if it doesnt exist, then what ever you put here
    *      will become your custom leader.
+   * @param  {string} args.level
+   *    'debug', 'info', 'warn' or 'error'.  Left out, 'warning' and 'error'
+   *    leaders are 'warn' and 'error', everything else is 'info'.
+   * @param  {json} args.fields
+   *    Extra data for the record, ie. { returnCode }
+   * @param  {string} args.node
+   *    Node the message is about (default=Helpers.Log.node)
+   * @param  {boolean} args.record
+   *    Set to false to only print the message (default=true)
    * @param  {boolean} args.space
    *    Add 2 blank lines above and below message.
    * @param  {boolean} args.spaceTop
@@ -59,16 +75,26 @@ let Helpers = {
    *    Keep all messages silent; only need to run once.
    * @param  {any} messages
    *    This can be any format type
-   * 
-   * TODO: add an automatic logging feature to local file
    */
   log(args={}, ...messages) {
     // if there is only one argument sent thru then just print
     if (typeof args !== 'object') {
-      if (!this.log_silent) { console.log(args); }
-      return;
+      messages = [args];
+      args     = {};
     }
 
+    let level = args.level ||
+      ({ warning: 'warn', error: 'error' })[args.leader] || 'info';
+    if (!Helpers.Log.enabled(level)) { return; }
+
+    let record = Helpers.Log.record(
+      level,
+      Helpers.Redact.string(util.format(...messages).trim()),
+      Helpers.Redact.json(args.fields),
+      args.node
+    );
+    if (args.record !== false) { Helpers.Log.write(record); }
+
     if ('leader' in args) {
       if      (args.leader == 'arrow')     { args.leader = '---->'; }
       else if (args.leader == 'sub')       { args.leader = '     '; }
@@ -93,7 +119,8 @@ let Helpers = {
     if ('silent' in args && args.silent) { this.log_silent = true; }
 
     if (!this.log_silent || ('loud' in args && args.loud)) {
-      console.log.apply(console, messages);
+      if (Helpers.Log.format === 'json') { console.log(JSON.stringify(record)); }
+      else                               { console.log(Helpers.Redact.string(util.format(...messages))); }
     }
   },
   log_silent: false,
@@ -120,6 +147,59 @@ let Helpers = {
   // packetArgsCheck(args={}) {
   // }
 
+  /**
+   * Builds the description of an api call that nodes announce to SamCore
+   * so other nodes can discover it.
+   *
+   * @param {string} name
+   *   Name of the api call
+   * @param {json} options
+   *   The options given to addApiCall()
+   *   - description: what the api call does
+   *   - version: version of the api call as string '1.0.0'
+   *   - args: schema of the args, see Packet.validateArgs()
+   */
+  describeApiCall(name, options={}) {
+    return {
+      name:        name,
+      description: ('description' in options) ? options.description : '',
+      version:     ('version'     in options) ? options.version     : null,
+      args:        ('args'        in options) ? options.args        : null
+    };
+  },
+
+  /**
+   * Match text against a pattern.  Patterns are split on dots:
+   *   - '*' matches anything between two dots
+   *   - '**' matches anything, dots included
+   *
+   *   wildcard('gdrive.*', 'gdrive.uploadFile')    -> true
+   *   wildcard('uploads.**', 'uploads.jams.today') -> true
+   *   wildcard('*', 'gdrive.uploadFile')           -> false
+   */
+  wildcard(pattern, text) {
+    let regex = pattern
+      .split('**')
+      .map(part => part
+        .split('*')
+        .map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^.]*'))
+      .join('.*');
+
+    return new RegExp(`^${regex}$`).test(text);
+  },
+
+  /**
+   * Service part of a node name.  Several instances of a node can run at
+   * once as 'service@instance'.
+   *
+   *   serviceName('storage@backup') -> 'storage'
+   *   serviceName('storage')        -> 'storage'
+   */
+  serviceName(name) {
+    return name.split('@')[0];
+  },
+
   /**
    * 
    * @param {json} args
@@ -130,7 +210,28 @@ let Helpers = {
    *  - persistent: needs to run when SamCore runs
    *  - mandatory: can not be uninstalled
    *  - link: internet path to package
+   *  - history: previous versions kept for rolling back, newest last
+   *    [{ version, backup, date }]
+   *  - dependencies: other nodes that must be running first, with a semver
+   *    range for each { nodeName: '^1.2.0' }
    *  - settings: json
+   *  - settingsVersion: version of the package its settings were last
+   *    upgraded for, see Client.addMigration().  null means the version
+   *    that is installed.
+   *  - settingsRevision: bumped on every change to settings, see
+   *    NodeSettings
+   *  - auth: credentials the node must prove it has on nodeInit, either
+   *    { secret } or { publicKey }, see Helpers.Auth
+   *  - acl: api calls this node may make, { nodeName: ['apiCall', ..] }.
+   *    Both can use '*' wildcards.  null means it may call anything.
+   *  - instances: run the node as several instances named
+   *    'nodeName@instance', { names: ['a', ..], policy }.  Calls made to
+   *    'nodeName' go to an instance picked by the policy:
+   *      - 'round-robin': each call goes to the next instance (default)
+   *      - 'primary': the first connected instance in names, the others
+   *        are fallbacks
+   *      - 'all': every instance, see Server.send()
+   *    null runs a single node.
    * 
    * Note: For SamCore on most of these options, they are
    *       ignored. 
@@ -138,14 +239,21 @@ let Helpers = {
    */
   defaultPackage(args={}) {
     return {
-      version:     ('version'     in args) ? args.version     : '1.0.0',
-      development: ('development' in args) ? args.development : false,
-      installed:   ('installed'   in args) ? args.installed   : false,
-      enabled:     ('enabled'     in args) ? args.enabled     : true,
-      persistent:  ('persistent'  in args) ? args.persistent  : false,
-      mandatory:   ('mandatory'   in args) ? args.mandatory   : false,
-      link:        ('link'        in args) ? args.link        : "",
-      settings:    ('settings'    in args) ? args.settings    : {}
+      version:      ('version'      in args) ? args.version      : '1.0.0',
+      development:  ('development'  in args) ? args.development  : false,
+      installed:    ('installed'    in args) ? args.installed    : false,
+      enabled:      ('enabled'      in args) ? args.enabled      : true,
+      persistent:   ('persistent'   in args) ? args.persistent   : false,
+      mandatory:    ('mandatory'    in args) ? args.mandatory    : false,
+      link:         ('link'         in args) ? args.link         : "",
+      history:      ('history'      in args) ? args.history      : [],
+      dependencies: ('dependencies' in args) ? args.dependencies : {},
+      settings:     ('settings'     in args) ? args.settings     : {},
+      auth:         ('auth'         in args) ? args.auth         : { secret: Helpers.Auth.newSecret() },
+      acl:          ('acl'          in args) ? args.acl          : null,
+      instances:    ('instances'    in args) ? args.instances    : null,
+      settingsVersion: ('settingsVersion' in args) ? args.settingsVersion : null,
+      settingsRevision: ('settingsRevision' in args) ? args.settingsRevision : 0
     };
   }
 }
@@ -165,18 +273,27 @@ Helpers.Files = {
   },
 
   /**
-  * run a bash command
+  * run a bash command.  Resolves with its stdout, rejects if the command
+  * exits with an error.  Output past 'maxBuffer' bytes kills the command,
+  * keep it quiet where the output is not needed.
   */
   async _run(...args) {
     let command = this._argsJoin(...args);
 
     return await Helpers._promise(function(resolve, reject) {
-      let process = exec(command, (err, stdout, stderr) => {
+      let process = exec(command, { maxBuffer: this.maxBuffer }, (err, stdout, stderr) => {
+        if (err) {
+          reject(new Error(`'${command.trim()}' failed: ${String(stderr).trim() || err.message}`));
+          return;
+        }
         resolve(stdout);
       });
-    });
+    }.bind(this));
   },
 
+  // Bytes of output _run() takes from a command, ie. npm install
+  maxBuffer: 64*1024*1024,
+
   /**
   * Just a wrapper for path.join but all inclusive in this Files object.
   *
@@ -248,24 +365,24 @@ Helpers.Files = {
   /**
   * ASYNC
   *
-  * Compress a directory into a tarball
+  * Compress a directory into a tarball.  Rejects if tar fails.
   */
   async compress(src, dest) {
     return await this._run(
-      this.r('tar -C #2 -zcvf #1 .', this.q(dest), this.q(src))
+      this.r('tar -C #2 -zcf #1 .', this.q(dest), this.q(src))
     );
   },
 
   /**
   * ASYNC
   *
-  * Extract a tarball into a directory
+  * Extract a tarball into a directory.  Rejects if tar fails.
   */
   async extract(src, dest) {
     await this.mkdir(dest);
 
     await this._run(
-      this.r('tar -zxvf #1 -C #2 #3', this.q(src), this.q(dest), '--strip-components=1')
+      this.r('tar -zxf #1 -C #2 #3', this.q(src), this.q(dest), '--strip-components=1')
     )
   },
 
@@ -308,7 +425,7 @@ Helpers.Files = {
   */
 Helpers.Packet = {
   new(args={}) {
-    let returnCode = Date.now();
+    let returnCode = args.returnCode || this.newReturnCode();
     if (args.returnCode === false) { returnCode = null; }
 
     // let packet = {
@@ -326,12 +443,92 @@ Helpers.Packet = {
       apiCall:      args.apiCall      || '',
       returnCode:   returnCode,
       args:         args.args         || {},
-      status:       args.status       || true,
+      status:       ('status' in args) ? args.status : true,
       result:       args.result       || 0,
-      errorMessage: args.errorMessage || false
+      errorMessage: args.errorMessage || false,
+      errorCode:    args.errorCode    || false
     };
   },
 
+  /**
+  * Turns a packet that never got an answer into a standard error packet.
+  *
+  * @param {json} packet
+  *   packet that was sent out
+  * @param {integer} elapsed
+  *   How long in MS we waited for the return
+  */
+  timeout(packet, elapsed) {
+    packet.status       = false;
+    packet.errorMessage = `API Timeout! '${packet.receiver}.${packet.apiCall}' did not return after ${elapsed}ms.`;
+    packet.errorCode    = 'API_TIMEOUT';
+    packet.elapsed      = elapsed;
+    return packet;
+  },
+
+  /**
+  * Turns a packet that the caller gave up on into a standard error packet.
+  *
+  * @param {json} packet
+  *   packet that was sent out
+  * @param {string} reason
+  *   Why it was cancelled
+  */
+  cancelled(packet, reason='Cancelled by caller') {
+    if (reason && reason.message) { reason = reason.message; }
+
+    packet.status       = false;
+    packet.errorMessage = `'${packet.receiver}.${packet.apiCall}' was cancelled: ${reason}`;
+    packet.errorCode    = 'CANCELLED';
+    return packet;
+  },
+
+  /**
+  * Puts the returns of a call made to several nodes into one packet.  Its
+  * result is a list with one { node, status, result, errorMessage,
+  * errorCode } per node.  If any of them failed, the status is false with
+  * errorCode 'PARTIAL_FAILURE'.
+  *
+  * @param {json} packet
+  *   packet of the call as a whole
+  * @param {array} returns
+  *   returned packets, one per node
+  */
+  aggregate(packet, returns) {
+    let failed = returns.filter(r => !r.status).length;
+
+    packet.result = returns.map(r => ({
+      node:         r.receiver,
+      status:       r.status,
+      result:       r.result,
+      errorMessage: r.errorMessage,
+      errorCode:    r.errorCode
+    }));
+
+    if (failed > 0) {
+      packet.status       = false;
+      packet.errorMessage = `${failed} of ${returns.length} nodes returned an error for '${packet.receiver}.${packet.apiCall}'!`;
+      packet.errorCode    = 'PARTIAL_FAILURE';
+    }
+    return packet;
+  },
+
+  /**
+  * Generates a unique returnCode (correlation id) for a packet.  The Client
+  * uses its own counter based ids, this is the fallback for everything else.
+  *
+  * @param {string} prefix
+  *   Optional prefix, usually the node name and instance nonce
+  * @param {integer} count
+  *   Optional request counter to go with the prefix
+  */
+  newReturnCode(prefix=null, count=null) {
+    if (prefix === null || count === null) {
+      return crypto.randomUUID();
+    }
+    return `${prefix}-${count}`;
+  },
+
   /**
   * A simple return for libraries inside nodes to be able to return to a packet
   * easily.
@@ -343,10 +540,19 @@ Helpers.Packet = {
   *   }
   */
   newMini(args={}) {
-    return {
-      status: args.status || true,
-      result: args.result || null
+    let mini = {
+      status: ('status' in args) ? args.status : true,
+      result: ('result' in args) ? args.result : null
     };
+    if ('errorMessage' in args) { mini.errorMessage = args.errorMessage; }
+    return mini;
+  },
+
+  /**
+  * A miniPacket with an error.
+  */
+  newMiniError(errorMessage) {
+    return this.newMini({ status: false, errorMessage: errorMessage });
   },
 
   /**
@@ -355,18 +561,415 @@ Helpers.Packet = {
   mergeMini(packet, mini) {
     packet.status = mini.status;
     packet.result = mini.result;
+    if ('errorMessage' in mini) { packet.errorMessage = mini.errorMessage; }
     return packet;
   },
 
+  /**
+  * Make sure the args exist in the packet.  If one is missing, an error is
+  * returned to the caller and this returns false.
+  *
+  * if (!Packet.checkArgs(this, ['name'], packet)) return;
+  */
   checkArgs(parent, argsNames, packet) {
-    argsNames.forEach(argName => {
+    if (typeof packet.args !== 'object' || packet.args === null) { packet.args = {}; }
+
+    for (let argName of argsNames) {
       if ( !(argName in packet.args) ) {
         parent.returnError(packet, `${argName} argument not included in packet!`);
         return false;
       }
-    });
+    }
 
     return true;
+  },
+
+  /**
+  * Check packet.args against a schema.  Missing optional args are filled in
+  * with their defaults.
+  *
+  * The schema is an object of arg names, each with:
+  *   - type: 'string', 'number', 'integer', 'boolean', 'object', 'array'
+  *     or 'any' (default='any')
+  *   - required: must be in the packet (default=false)
+  *   - enum: array of allowed values
+  *   - default: value to use if the arg is missing
+  *
+  * {
+  *   name:  { type: 'string', required: true },
+  *   mode:  { type: 'string', enum: ['fast', 'slow'], default: 'fast' }
+  * }
+  *
+  * @returns {json} miniPacket.  On error, result is a list of
+  *   { arg, error } for every arg that failed.
+  */
+  validateArgs(schema, packet) {
+    if (typeof packet.args !== 'object' || packet.args === null) { packet.args = {}; }
+
+    let errors = [];
+
+    Object.keys(schema).forEach(argName => {
+      let rule  = schema[argName];
+      let value = packet.args[argName];
+
+      if (value === undefined) {
+        if ('default' in rule) {
+          packet.args[argName] = JSON.parse(JSON.stringify(rule.default));
+        } else if (rule.required) {
+          errors.push({ arg: argName, error: 'is required' });
+        }
+        return;
+      }
+
+      let type = rule.type || 'any';
+      if (!this._isType(value, type)) {
+        errors.push({ arg: argName, error: `must be of type '${type}'` });
+        return;
+      }
+
+      if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+        errors.push({ arg: argName, error: `must be one of '${rule.enum.join("', '")}'` });
+      }
+    });
+
+    if (errors.length > 0) {
+      return {
+        status:       false,
+        errorMessage: 'Invalid args: ' + errors.map(e => `${e.arg} ${e.error}`).join(', '),
+        result:       errors
+      };
+    }
+
+    return this.newMini();
+  },
+
+  /**
+  * Same as checkArgs() but with a schema, see validateArgs().  If the args do
+  * not match, a structured error is returned to the caller (errorCode is
+  * 'INVALID_ARGS' and result is the list of errors) and this returns false.
+  */
+  checkSchema(parent, schema, packet) {
+    let check = this.validateArgs(schema, packet);
+    if (check.status) { return true; }
+
+    packet.errorCode = 'INVALID_ARGS';
+    packet.result    = check.result;
+    parent.returnError(packet, check.errorMessage);
+    return false;
+  },
+
+  _isType(value, type) {
+    if (type === 'any')     { return true; }
+    if (type === 'array')   { return Array.isArray(value); }
+    if (type === 'integer') { return Number.isInteger(value); }
+    if (type === 'object')  {
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+    return typeof value === type;
+  }
+}
+
+/**
+  * Nodes prove who they are on nodeInit.  The proof is a signature over the
+  * node's name, a timestamp and a random nonce, so the secret itself is never
+  * sent and an old proof can not be used again.  Credentials are either:
+  *   - { secret: 'shared hex string' }, signed with an hmac
+  *   - { privateKey: 'pem' } on the node and { publicKey: 'pem' } in the
+  *     settings file
+  */
+Helpers.Auth = {
+  // ms a proof stays valid, also covers clock drift between machines
+  window: 60*1000,
+
+  newSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  },
+
+  /**
+  * Make a proof for nodeInit.
+  *
+  * @param {string} name
+  *   Name of the node
+  * @param {json} credentials
+  *   { secret } or { privateKey }
+  */
+  proof(name, credentials) {
+    let timestamp = Date.now();
+    let nonce     = crypto.randomBytes(16).toString('hex');
+    let payload   = `${name}.${timestamp}.${nonce}`;
+    let signature;
+
+    if (credentials.secret) {
+      signature = crypto.createHmac('sha256', credentials.secret).update(payload).digest('hex');
+    } else {
+      let key   = crypto.createPrivateKey(credentials.privateKey);
+      signature = crypto.sign(this._algorithm(key), Buffer.from(payload), key).toString('base64');
+    }
+
+    return { timestamp, nonce, signature };
+  },
+
+  /**
+  * Check a proof made with proof().  Does not remember nonces, the caller
+  * has to reject ones it has already seen.
+  *
+  * @param {string} name
+  *   Name the node connected as
+  * @param {json} proof
+  *   { timestamp, nonce, signature }
+  * @param {json} credentials
+  *   { secret } or { publicKey } from the settings file
+  * @returns {string|null} error message, or null if the proof is good
+  */
+  verify(name, proof, credentials) {
+    if (!credentials || (!credentials.secret && !credentials.publicKey)) {
+      return `Node '${name}' has no credentials in the settings file!`;
+    }
+    if (!proof || typeof proof.signature !== 'string' || typeof proof.nonce !== 'string') {
+      return `Node '${name}' did not send any credentials!`;
+    }
+    if ( !Number.isInteger(proof.timestamp) || Math.abs(Date.now() - proof.timestamp) > this.window ) {
+      return `Credentials of node '${name}' have expired!`;
+    }
+
+    let payload = `${name}.${proof.timestamp}.${proof.nonce}`;
+    let valid   = false;
+
+    try {
+      if (credentials.secret) {
+        let expected = crypto.createHmac('sha256', credentials.secret).update(payload).digest();
+        let given    = Buffer.from(proof.signature, 'hex');
+        valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+      } else {
+        let key = crypto.createPublicKey(credentials.publicKey);
+        valid = crypto.verify(
+          this._algorithm(key), Buffer.from(payload), key, Buffer.from(proof.signature, 'base64')
+        );
+      }
+    } catch (e) {
+      valid = false;
+    }
+
+    return valid ? null : `Credentials of node '${name}' are not valid!`;
+  },
+
+  // ed25519 and ed448 keys pick their own hash
+  _algorithm(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+  }
+}
+
+/**
+  * Log records.  Every Helpers.log() message becomes a record:
+  *   { time, node, level, message, fields }
+  * Records are handed to every sink, ie. the log files from toFiles(), or a
+  * Client shipping its logs to SamCore.  Messages below 'level' are
+  * dropped, it comes from the SAM_LOG_LEVEL environment variable.  Set
+  * SAM_LOG_FORMAT=json to print records to the console as json too.
+  */
+Helpers.Log = {
+  levels: ['debug', 'info', 'warn', 'error'],
+  level:  process.env.SAM_LOG_LEVEL  || 'info',
+  format: process.env.SAM_LOG_FORMAT || 'pretty',
+
+  // Node records are made by, the first Client or Server sets it
+  node:   null,
+
+  // functions(record, shipped), see addSink()
+  sinks:  [],
+
+  /**
+  * Is a level at or above the lowest level being logged?
+  *
+  * @param {string} level
+  *   Level of the message
+  * @param {string} lowest
+  *   Lowest level to let thru (default=this.level)
+  */
+  enabled(level, lowest=this.level) {
+    return this.levels.indexOf(level) >= this.levels.indexOf(lowest);
+  },
+
+  record(level, message, fields={}, node=null) {
+    return {
+      time:    new Date().toISOString(),
+      node:    node || this.node,
+      level:   level,
+      message: message,
+      fields:  fields || {}
+    };
+  },
+
+  /**
+  * Hand a record to every sink.  A sink that throws is skipped, logging
+  * should never take a node down.
+  *
+  * @param {json} record
+  *   see record()
+  * @param {bool} shipped
+  *   The record was shipped here by another node, see Server.
+  */
+  write(record, shipped=false) {
+    this.sinks.forEach(sink => {
+      try { sink(record, shipped); } catch (error) { /* nowhere left to log it */ }
+    });
+  },
+
+  /**
+  * @param {function(record, shipped)} sink
+  *   Called with every record
+  * @returns the sink, to remove it later with removeSink()
+  */
+  addSink(sink) {
+    this.sinks.push(sink);
+    return sink;
+  },
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter(s => s !== sink);
+  },
+
+  /**
+  * Write records to one json lines file per node, '<dir>/<node>.log'.  A
+  * file that gets too big or too old is rotated to '<node>.log.1', the one
+  * before that to '<node>.log.2' and so on.
+  *
+  * @param {string} dir
+  *   Folder for the log files, it is made if missing
+  * @param {json} options
+  *   - maxSize: bytes before a file is rotated (default=5MB)
+  *   - maxAge: ms before a file is rotated (default=1 day)
+  *   - maxFiles: rotated files to keep per node (default=5)
+  * @returns the sink, see addSink()
+  */
+  toFiles(dir, options={}) {
+    let maxSize  = ('maxSize'  in options) ? options.maxSize  : 5*1024*1024;
+    let maxAge   = ('maxAge'   in options) ? options.maxAge   : 24*60*60*1000;
+    let maxFiles = ('maxFiles' in options) ? options.maxFiles : 5;
+    let files    = {}; // { size, openedAt } of each file written to
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    let rotate = function(file) {
+      for (let i = maxFiles; i > 0; i--) {
+        let from = (i === 1) ? file : `${file}.${i - 1}`;
+        if (fs.existsSync(from)) { fs.renameSync(from, `${file}.${i}`); }
+      }
+      if (maxFiles === 0) { fs.rmSync(file, { force: true }); }
+    };
+
+    return this.addSink(function(record) {
+      let name = String(record.node || 'unknown').replace(/[^\w@-]/g, '_');
+      let file = path.join(dir, `${name}.log`);
+      let line = JSON.stringify(record) + '\n';
+      let size = Buffer.byteLength(line);
+
+      if ( !(file in files) ) {
+        let stat = fs.existsSync(file) ? fs.statSync(file) : null;
+        files[file] = {
+          size:     stat ? stat.size : 0,
+          openedAt: stat ? (stat.birthtimeMs || stat.ctimeMs) : Date.now()
+        };
+      }
+
+      let state = files[file];
+      if (state.size > 0 && (state.size + size > maxSize || Date.now() - state.openedAt > maxAge)) {
+        rotate(file);
+        files[file] = state = { size: 0, openedAt: Date.now() };
+      }
+
+      fs.appendFileSync(file, line);
+      state.size += size;
+    });
+  }
+}
+
+/**
+  * Secret values that must never be printed, see Secrets.  Every string in
+  * a secret that is at least 'minLength' long is replaced by 'mask' in log
+  * messages, and in the copies of packets sent to hooks.
+  */
+Helpers.Redact = {
+  mask:      '[REDACTED]',
+  minLength: 4,
+  values:    new Set(),
+
+  /**
+  * @param {all} value
+  *   A secret, every string in it is redacted from now on
+  */
+  add(value) {
+    if (typeof value === 'string') {
+      if (value.length >= this.minLength) { this.values.add(value); }
+    }
+    else if (typeof value === 'object' && value !== null) {
+      Object.values(value).forEach(v => this.add(v));
+    }
+  },
+
+  /**
+  * @param {string} text
+  * @returns the text with every secret masked
+  */
+  string(text) {
+    if (this.values.size === 0 || typeof text !== 'string') { return text; }
+
+    this.values.forEach(secret => {
+      text = text.split(secret).join(this.mask);
+
+      // the way it looks inside of json
+      let escaped = JSON.stringify(secret).slice(1, -1);
+      if (escaped !== secret) { text = text.split(escaped).join(this.mask); }
+    });
+    return text;
+  },
+
+  /**
+  * Only the strings in the value are masked, numbers and the like are left
+  * alone even if they look like a secret.
+  *
+  * @param {json} value
+  *   Anything that can be sent as json, ie. a packet
+  * @returns a copy with every secret masked
+  */
+  json(value) {
+    if (this.values.size === 0) { return value; }
+
+    if (typeof value === 'string') { return this.string(value); }
+    if (typeof value !== 'object' || value === null) { return value; }
+
+    // ie. Dates, the same as JSON.stringify() sees them
+    if (typeof value.toJSON === 'function') { return this.json(value.toJSON()); }
+
+    if (Array.isArray(value)) { return value.map(v => this.json(v)); }
+
+    let copy = {};
+    Object.keys(value).forEach(key => { copy[key] = this.json(value[key]); });
+    return copy;
+  }
+}
+
+/**
+  * Errors that can be thrown by the SAM libraries.  Most of the time errors
+  * are returned in the packet instead, these are for when the caller asks for
+  * an exception.
+  */
+Helpers.Errors = {
+  ApiTimeoutError: class ApiTimeoutError extends Error {
+    /**
+      * @param {json} packet
+      *   The timed out packet, see Helpers.Packet.timeout()
+      */
+    constructor(packet) {
+      super(packet.errorMessage);
+      this.name     = 'ApiTimeoutError';
+      this.code     = packet.errorCode;
+      this.sender   = packet.sender;
+      this.receiver = packet.receiver;
+      this.apiCall  = packet.apiCall;
+      this.elapsed  = packet.elapsed;
+      this.packet   = packet;
+    }
   }
 }
 
@@ -0,0 +1,302 @@
+const crypto      = require('crypto');
+const { Helpers } = require('./Helpers.js');
+const Packet      = Helpers.Packet;
+
+/**
+  * Jobs are api calls that SamCore makes for a node, now or whenever the
+  * node being called is ready.  They are kept in their own json file so
+  * they survive SamCore restarting.  A job that returns an error is tried
+  * again with an exponential backoff until it runs out of attempts.
+  *
+  * Job states:
+  *   - 'queued':    waiting for its node to be ready or for its next attempt
+  *   - 'running':   the api call is out
+  *   - 'done':      the api call returned, the packet's result is kept
+  *   - 'failed':    every attempt returned an error
+  *   - 'cancelled': cancelled before it ran
+  *
+  * A job that was running when SamCore stopped is queued again on start, so
+  * a job can run more than once.
+  *
+  * When a job is done or failed, it is published to the topic
+  * 'jobs.done' or 'jobs.failed', without its args and result.
+  *
+  * A job belongs to the service of the node that queued it.  Given an
+  * owner, the functions below only see that service's jobs, the jobs of
+  * others look like they do not exist.
+  *
+  * All functions return a miniPacket, see Helpers.Packet.newMini().
+  */
+class JobQueue {
+  /**
+    * @param {EditJsonFile} db
+    *  The file jobs are kept in
+    * @param {Server} server
+    *  SamCore, used to make the api calls
+    * @param {json} args
+    *  - baseDelay: ms to wait before the first retry (default=5000)
+    *  - maxDelay: the backoff will never wait longer than this
+    *    (default=600000)
+    *  - maxAttempts: attempts before a job fails (default=5)
+    *  - timelimit: ms each attempt can take (default=60000)
+    *  - keepFinished: done, failed and cancelled jobs to keep (default=100)
+    * @returns this
+    */
+  constructor(db, server, args={}) {
+    this.db           = db;
+    this.server       = server;
+    this.baseDelay    = ('baseDelay'    in args) ? args.baseDelay    : 5*1000;
+    this.maxDelay     = ('maxDelay'     in args) ? args.maxDelay     : 10*60*1000;
+    this.maxAttempts  = ('maxAttempts'  in args) ? args.maxAttempts  : 5;
+    this.timelimit    = ('timelimit'    in args) ? args.timelimit    : 60*1000;
+    this.keepFinished = ('keepFinished' in args) ? args.keepFinished : 100;
+
+    this.timer    = null;
+    this.watching = {}; // nodes we are waiting on to be ready
+    this.stopped  = true;
+
+    return this;
+  }
+
+  /**
+    * Start delivering jobs.  Jobs cut off by a restart are queued again.
+    */
+  start() {
+    this.stopped = false;
+
+    Object.values(this._jobs()).forEach(job => {
+      if (job.status === 'running') { this._update(job.id, { status: 'queued' }); }
+    });
+
+    this._process();
+  }
+
+  /**
+    * Stop delivering jobs.  Jobs that are running finish, but nothing new
+    * is started.
+    */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+    * Add a job.
+    *
+    * @param {string} sender
+    *  Node the job is for, the api call is made in its name
+    * @param {json} args
+    *  - receiver: node to call
+    *  - apiCall: api call to make
+    *  - args: args for the api call
+    *  - maxAttempts: overrides the queue's maxAttempts
+    *  - timelimit: overrides the queue's timelimit
+    */
+  enqueue(sender, args) {
+    let now = Date.now();
+    let job = {
+      id:          crypto.randomBytes(8).toString('hex'),
+      sender:      sender,
+      receiver:    args.receiver,
+      apiCall:     args.apiCall,
+      args:        args.args || {},
+      status:      'queued',
+      attempts:    0,
+      maxAttempts: args.maxAttempts || this.maxAttempts,
+      timelimit:   args.timelimit   || this.timelimit,
+      nextAttempt: now,
+      createdAt:   now,
+      updatedAt:   now,
+      lastError:   null,
+      result:      null
+    };
+
+    this.db.set(['jobs', job.id], job);
+    this._process();
+
+    return Packet.newMini({ result: job });
+  }
+
+  /**
+    * List jobs, oldest first.
+    *
+    * @param {json} filter
+    *  - status: only jobs in this state
+    *  - sender: only jobs of this node
+    *  - receiver: only jobs for this node
+    * @param {string} owner
+    *  Only jobs of this service, null for every job
+    */
+  list(filter={}, owner=null) {
+    let jobs = Object.values(this._jobs())
+      .filter(job => this._owns(owner, job))
+      .filter(job => ['status', 'sender', 'receiver'].every(key => {
+        return !(key in filter) || job[key] === filter[key];
+      }))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    return Packet.newMini({ result: jobs });
+  }
+
+  get(id, owner=null) {
+    let job = this._job(id, owner);
+    if (job === undefined) { return Packet.newMiniError(`Job '${id}' does not exist!`); }
+    return Packet.newMini({ result: job });
+  }
+
+  /**
+    * Queue a failed or cancelled job again, with all of its attempts back.
+    */
+  retry(id, owner=null) {
+    let job = this._job(id, owner);
+    if (job === undefined) { return Packet.newMiniError(`Job '${id}' does not exist!`); }
+    if ( !['failed', 'cancelled'].includes(job.status) ) {
+      return Packet.newMiniError(`Job '${id}' is ${job.status}, only failed or cancelled jobs can be retried!`);
+    }
+
+    job = this._update(id, { status: 'queued', attempts: 0, nextAttempt: Date.now(), lastError: null });
+    this._process();
+
+    return Packet.newMini({ result: job });
+  }
+
+  /**
+    * Cancel a job that has not run yet.
+    */
+  cancel(id, owner=null) {
+    let job = this._job(id, owner);
+    if (job === undefined) { return Packet.newMiniError(`Job '${id}' does not exist!`); }
+    if (job.status !== 'queued') {
+      return Packet.newMiniError(`Job '${id}' is ${job.status}, only queued jobs can be cancelled!`);
+    }
+
+    job = this._update(id, { status: 'cancelled' });
+    this._prune();
+
+    return Packet.newMini({ result: job });
+  }
+
+  _jobs() {
+    return this.db.get('jobs') || {};
+  }
+
+  _job(id, owner) {
+    let job = this._jobs()[id];
+    return (job !== undefined && this._owns(owner, job)) ? job : undefined;
+  }
+
+  _owns(owner, job) {
+    return owner === null || Helpers.serviceName(job.sender) === owner;
+  }
+
+  _update(id, changes) {
+    let job = Object.assign({}, this._jobs()[id], changes, { updatedAt: Date.now() });
+    this.db.set(['jobs', id], job);
+    return job;
+  }
+
+  /**
+    * Start every job that is due and whose node is ready.  Then sleep until
+    * the next retry is due, or until a node we are waiting on is ready.
+    */
+  _process() {
+    if (this.stopped) { return; }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let now  = Date.now();
+    let next = null;
+
+    Object.values(this._jobs()).forEach(job => {
+      if (job.status !== 'queued') { return; }
+
+      if (job.nextAttempt > now) {
+        next = (next === null) ? job.nextAttempt : Math.min(next, job.nextAttempt);
+        return;
+      }
+
+      if (this.server.nodeState(job.receiver) !== 'ready') {
+        this._watch(job.receiver);
+        return;
+      }
+
+      this._run(job);
+    });
+
+    if (next !== null) {
+      this.timer = setTimeout(this._process.bind(this), next - now);
+    }
+  }
+
+  _watch(name) {
+    if (name in this.watching) { return; }
+
+    this.watching[name] = this.server.waitForNode(name, 0, 'ready').then(() => {
+      delete this.watching[name];
+      this._process();
+    });
+  }
+
+  async _run(job) {
+    job = this._update(job.id, { status: 'running', attempts: job.attempts + 1 });
+
+    let packet = await this.server.callApi(job.receiver, job.apiCall, job.args, {
+      timelimit: job.timelimit,
+      sender:    job.sender
+    });
+
+    // Cancelled or removed while it was out
+    if (this._jobs()[job.id] === undefined) { return; }
+
+    if (packet.status) {
+      job = this._update(job.id, { status: 'done', result: packet.result, lastError: null });
+      this._finished(job);
+    }
+    else if (job.attempts >= job.maxAttempts) {
+      job = this._update(job.id, { status: 'failed', lastError: packet.errorMessage });
+      this._finished(job);
+    }
+    else {
+      let delay = Math.min(this.baseDelay * Math.pow(2, job.attempts - 1), this.maxDelay);
+      this._update(job.id, {
+        status:      'queued',
+        nextAttempt: Date.now() + delay,
+        lastError:   packet.errorMessage
+      });
+
+      Helpers.log(
+        {leader: 'warning', loud: false},
+        `Job '${job.id}' (${job.receiver}.${job.apiCall}) failed, retrying in ${delay}ms:`,
+        packet.errorMessage
+      );
+    }
+
+    this._process();
+  }
+
+  _finished(job) {
+    // Anyone can subscribe, only the owner gets the args and result, see get()
+    let { args, result, ...summary } = job;
+    this.server.publish(`jobs.${job.status}`, summary);
+    this._prune();
+  }
+
+  /**
+    * Only keep the newest finished jobs.
+    */
+  _prune() {
+    let finished = Object.values(this._jobs())
+      .filter(job => ['done', 'failed', 'cancelled'].includes(job.status))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    if (finished.length <= this.keepFinished) { return; }
+
+    let jobs = this._jobs();
+    finished.slice(this.keepFinished).forEach(job => { delete jobs[job.id]; });
+    this.db.set('jobs', jobs);
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,125 @@
+const { Helpers } = require('./Helpers.js');
+const Files       = Helpers.Files;
+const Packet      = Helpers.Packet;
+
+/**
+  * Upgrades SamCoreSettings.json to the layout this version of SamCore
+  * expects.  The file keeps its layout version in 'schemaVersion', a file
+  * without one is version 0.  Every step in Migrations.steps upgrades the
+  * file by one version, and they run in order until the file is current.
+  *
+  * The file is copied to './.samcore/backups/' before anything is changed,
+  * and is only written once every step has run, so a step that fails leaves
+  * the file as it was.
+  *
+  * The settings block of each node is upgraded by the node itself, see
+  * Client.addMigration().
+  *
+  * All functions return a miniPacket, see Helpers.Packet.newMini().
+  */
+class Migrations {
+  /**
+    * @param {EditJsonFile} db
+    *  The SamCoreSettings.json file
+    * @param {json} args
+    *  - backupDir: folder the file is copied to before it is upgraded
+    *    (default='./.samcore/backups')
+    *  - steps: the steps to run (default=Migrations.steps)
+    * @returns this
+    */
+  constructor(db, args={}) {
+    this.db        = db;
+    this.backupDir = ('backupDir' in args) ? args.backupDir : Files.join('cwd', '.samcore', 'backups');
+    this.steps     = ('steps'     in args) ? args.steps     : Migrations.steps;
+
+    return this;
+  }
+
+  /**
+    * The schemaVersion a file is upgraded to.
+    */
+  get latest() {
+    return this.steps.reduce((latest, step) => Math.max(latest, step.version), 0);
+  }
+
+  /**
+    * Run every step the file needs.  A new, empty file is just stamped with
+    * the latest schemaVersion.
+    *
+    * @returns {json} miniPacket, the result is { from, to, backup }
+    */
+  run() {
+    let data = this.db.get();
+    let from = data.schemaVersion || 0;
+    let to   = this.latest;
+
+    if (from > to) {
+      return Packet.newMiniError(
+        `'${this.db.path}' is schemaVersion ${from}, this SamCore only knows up to ${to}!`
+      );
+    }
+    if (from === to) {
+      return Packet.newMini({ result: { from, to, backup: null } });
+    }
+    if (data.packages === undefined) {
+      this.db.set('schemaVersion', to);
+      return Packet.newMini({ result: { from, to, backup: null } });
+    }
+
+    Files.mkdir(this.backupDir);
+    let backup = Files.join(this.backupDir, `SamCoreSettings.schema-${from}.${Date.now()}.json`);
+    this.db.save();
+    Files.copy(this.db.path, backup);
+
+    let upgraded = JSON.parse(JSON.stringify(data));
+    let steps    = this.steps
+      .filter(step => step.version > from)
+      .sort((a, b) => a.version - b.version);
+
+    for (let step of steps) {
+      try {
+        step.up(upgraded);
+      } catch (error) {
+        return Packet.newMiniError(
+          `Upgrading '${this.db.path}' to schemaVersion ${step.version} failed: ${error.message}.  ` +
+          `The file was not changed, a copy is in '${backup}'.`
+        );
+      }
+      upgraded.schemaVersion = step.version;
+
+      Helpers.log({leader: 'highlight', loud: true}, `Settings schemaVersion ${step.version}: ${step.description}`);
+    }
+
+    this.db.data = upgraded;
+    this.db.save();
+
+    return Packet.newMini({ result: { from, to, backup } });
+  }
+}
+
+/**
+  * Every change to the layout of SamCoreSettings.json gets a step here,
+  * with the next version number.  'up' changes the parsed file in place.
+  */
+Migrations.steps = [
+  {
+    version:     1,
+    description: 'every package has all of the fields of Helpers.defaultPackage()',
+    up(data) {
+      Object.keys(data.packages).forEach(name => {
+        let pkg      = data.packages[name];
+        let defaults = Helpers.defaultPackage();
+
+        Object.keys(defaults).forEach(key => {
+          if ( !(key in pkg) ) { pkg[key] = defaults[key]; }
+        });
+        if (typeof pkg.settings !== 'object' || pkg.settings === null) { pkg.settings = {}; }
+
+        // The settings a package has now are the ones of the version it runs
+        if (pkg.settingsVersion === null) { pkg.settingsVersion = pkg.version; }
+      });
+    }
+  }
+];
+
+module.exports = { Migrations };
@@ -0,0 +1,177 @@
+const { Helpers } = require('./Helpers.js');
+const Packet      = Helpers.Packet;
+
+/**
+  * The settings block each package has in SamCoreSettings.json.  Settings
+  * can be read and changed one path at a time, ie. 'upload.folder', or all
+  * at once with a null path.
+  *
+  * Every change bumps the package's 'settingsRevision'.  A change made with
+  * a revision is only made if the settings are still at that revision, so
+  * a node can read, change and write back without losing someone else's
+  * change (compare-and-set).
+  *
+  * After every change a 'settingsChanged' event is pushed to every instance
+  * of the package, and to the nodes watching it.  The event's args are
+  *   { node, path, value, revision, deleted }
+  *
+  * All functions return a miniPacket, see Helpers.Packet.newMini().
+  */
+class NodeSettings {
+  /**
+    * @param {EditJsonFile} db
+    *  The SamCoreSettings.json file
+    * @param {Server} server
+    *  SamCore, used to push the changes
+    * @returns this
+    */
+  constructor(db, server) {
+    this.db       = db;
+    this.server   = server;
+    this.watchers = {}; // package name: [nodes watching it]
+
+    return this;
+  }
+
+  /**
+    * @param {string} name
+    *  Package the settings belong to
+    * @param {string} path
+    *  Dot separated path in the settings, null for all of them
+    * @returns {json} miniPacket, the result is { value, revision }.  value
+    *  is null when nothing is set at the path.
+    */
+  get(name, path=null) {
+    if (this.db.get(['packages', name]) === undefined) {
+      return Packet.newMiniError(`Package '${name}' does not exist!`);
+    }
+
+    if (!this._validPath(path)) { return this._badPath(path); }
+
+    let value = this.db.get(this._path(name, path));
+    return Packet.newMini({
+      result: { value: (value === undefined) ? null : value, revision: this.revision(name) }
+    });
+  }
+
+  /**
+    * Change a setting, then tell the package and everyone watching it.
+    *
+    * @param {string} name
+    *  Package the settings belong to
+    * @param {string} path
+    *  Dot separated path in the settings, null for all of them
+    * @param {all} value
+    *  The new value, undefined removes the path
+    * @param {integer} revision
+    *  Only change it if the settings are at this revision, null to change
+    *  it no matter what
+    * @returns {json} miniPacket, the result is { revision } with the new
+    *  revision.  If the revision did not match, status is false and the
+    *  result has the current revision.
+    */
+  change(name, path, value, revision=null) {
+    if (this.db.get(['packages', name]) === undefined) {
+      return Packet.newMiniError(`Package '${name}' does not exist!`);
+    }
+
+    if (!this._validPath(path)) { return this._badPath(path); }
+
+    let current = this.revision(name);
+    if (revision !== null && revision !== current) {
+      return Packet.newMini({
+        status:       false,
+        result:       { revision: current },
+        errorMessage: `Settings of '${name}' are at revision ${current}, not ${revision}!`
+      });
+    }
+
+    try {
+      this.db.batch(db => {
+        if (value === undefined && path !== null) {
+          db.unset(this._path(name, path));
+        } else {
+          db.set(this._path(name, path), (value === undefined) ? {} : value);
+        }
+        db.set(['packages', name, 'settingsRevision'], current + 1);
+      });
+    } catch (error) {
+      return Packet.newMiniError(`Could not change the settings of '${name}': ${error.message}`);
+    }
+
+    this._notify(name, {
+      node:     name,
+      path:     path,
+      value:    (value === undefined) ? null : value,
+      revision: current + 1,
+      deleted:  value === undefined
+    });
+
+    return Packet.newMini({ result: { revision: current + 1 } });
+  }
+
+  revision(name) {
+    return this.db.get(['packages', name, 'settingsRevision']) || 0;
+  }
+
+  /**
+    * Push the changes of a package's settings to a node.  Whether the node
+    * is allowed to see them is up to the caller.  Watchers are forgotten
+    * when they disconnect.
+    */
+  watch(watcher, name) {
+    if ( !(name in this.watchers) ) { this.watchers[name] = []; }
+    if ( !this.watchers[name].includes(watcher) ) { this.watchers[name].push(watcher); }
+
+    return Packet.newMini({ result: this.watchers[name].length });
+  }
+
+  unwatch(watcher, name) {
+    if (name in this.watchers) {
+      this.watchers[name] = this.watchers[name].filter(n => n !== watcher);
+      if (this.watchers[name].length === 0) { delete this.watchers[name]; }
+    }
+
+    return Packet.newMini();
+  }
+
+  _path(name, path) {
+    let parts = ['packages', name, 'settings'];
+    return (path === null) ? parts : parts.concat(path.split('.'));
+  }
+
+  /**
+    * Only null stands for all of the settings.  An empty path, or one with
+    * an empty part like 'upload..folder', is a mistake and must not touch
+    * them.  Parts that reach into the prototype of an object are never
+    * allowed.
+    */
+  _validPath(path) {
+    if (path === null) { return true; }
+    if (typeof path !== 'string') { return false; }
+
+    return path.split('.').every(part => part !== '' && !NodeSettings.unsafeParts.includes(part));
+  }
+
+  _badPath(path) {
+    return Packet.newMiniError(`Setting path '${path}' is not valid, use a dot separated path like 'upload.folder'!`);
+  }
+
+  _notify(name, args) {
+    let sockets  = Object.keys(this.server.sockets);
+    let watchers = (this.watchers[name] || []).filter(n => sockets.includes(n));
+
+    if (name in this.watchers) {
+      if (watchers.length === 0) { delete this.watchers[name]; }
+      else { this.watchers[name] = watchers; }
+    }
+
+    let names = sockets.filter(n => Helpers.serviceName(n) === name);
+    this.server.push([...new Set(names.concat(watchers))], 'settingsChanged', args);
+  }
+}
+
+// Path parts that would change the prototype of the settings, see _validPath()
+NodeSettings.unsafeParts = ['__proto__', 'prototype', 'constructor'];
+
+module.exports = { NodeSettings };
@@ -0,0 +1,473 @@
+const fs          = require('fs');
+const crypto      = require('crypto');
+const semver      = require('semver');
+const { Helpers } = require('./Helpers.js');
+const Files       = Helpers.Files;
+const Packet      = Helpers.Packet;
+
+/**
+  * Installs, updates, uninstalls and rolls back nodes.  Every node lives in
+  * its own folder, './<name>/', next to the SamCoreSettings.json file, and is
+  * recorded in the 'packages' section of that file.
+  *
+  * A package can come from a tarball (.tgz, ie. from 'npm pack') or from a
+  * folder.  Either way it must have a package.json with a name and version.
+  *
+  * When a node is updated, the old version is compressed into
+  * './.samcore/backups/<name>/<version>.tgz' so it can be rolled back.
+  *
+  * A package can declare the nodes it depends on in its package.json:
+  *   "sam": { "dependencies": { "database": "^1.2.0" } }
+  * These are copied into its entry in the settings file.  The same goes for
+  * the api calls it needs to make, see Helpers.defaultPackage():
+  *   "sam": { "acl": { "database": ["get*", "set*"] } }
+  *
+  * All functions return a miniPacket, see Helpers.Packet.newMini().
+  */
+class PackageManager {
+  /**
+    * @param {EditJsonFile} db
+    *  The SamCoreSettings.json file
+    * @param {json} args
+    *  - root: folder where nodes are installed (default=cwd)
+    *  - installDependencies: run 'npm install' for packages that need it
+    *    (default=true)
+    *  - supervisor: optional Supervisor, running nodes are stopped while
+    *    their files are replaced and started back up afterwards
+    * @returns this
+    */
+  constructor(db, args={}) {
+    this.db         = db;
+    this.root       = ('root'       in args) ? args.root       : process.cwd();
+    this.supervisor = ('supervisor' in args) ? args.supervisor : null;
+    this.storage    = Files.join(this.root, '.samcore');
+
+    this.installDependencies = ('installDependencies' in args) ?
+      args.installDependencies : true;
+
+    return this;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Install a new node.
+    *
+    * @param {string} source
+    *  Path to a tarball or folder
+    * @param {json} args
+    *  - name: install under this name instead of the package.json name
+    */
+  async install(source, args={}) {
+    return await this._withStaged(source, args, async function({ dir, name, version, manifest }) {
+      let pkg  = this.db.get(['packages', name]);
+      let dest = Files.join(this.root, name);
+
+      if (pkg !== undefined && pkg.installed) {
+        return Packet.newMiniError(`Package '${name}' is already installed, use update instead!`);
+      }
+      if (Files.exists(dest)) {
+        return Packet.newMiniError(`Folder '${dest}' already exists!`);
+      }
+
+      await this._dependencies(dir, manifest);
+      fs.renameSync(dir, dest);
+
+      this.db.set(['packages', name], Helpers.defaultPackage(Object.assign({}, pkg, {
+        version:         version,
+        installed:       true,
+        link:            this._link(manifest),
+        dependencies:    this._dependsOn(manifest, pkg),
+        acl:             this._acl(manifest, pkg),
+        settingsVersion: pkg ? (pkg.settingsVersion || pkg.version) : version
+      })));
+
+      Helpers.log({leader: 'highlight', loud: true}, `Installed '${name}' ${version}`);
+      return Packet.newMini({ result: this.db.get(['packages', name]) });
+    }.bind(this));
+  }
+
+  /**
+    * ASYNC
+    *
+    * Update an installed node to a newer version.  The current version is
+    * kept so it can be rolled back, along with its settings.  The node
+    * upgrades its settings itself when it starts, see Client.addMigration().
+    *
+    * @param {string} source
+    *  Path to a tarball or folder
+    * @param {json} args
+    *  - name: update this package instead of the package.json name
+    *  - force: allow installing a version that is not newer
+    */
+  async update(source, args={}) {
+    return await this._withStaged(source, args, async function({ dir, name, version, manifest }) {
+      let pkg  = this.db.get(['packages', name]);
+      let dest = Files.join(this.root, name);
+
+      if (pkg === undefined || !pkg.installed) {
+        return Packet.newMiniError(`Package '${name}' is not installed!`);
+      }
+      if (!args.force && semver.valid(pkg.version) && !semver.gt(version, pkg.version)) {
+        return Packet.newMiniError(
+          `Package '${name}' ${version} is not newer than ${pkg.version}!`
+        );
+      }
+
+      // Everything that can fail happens before the current version is
+      // touched.  Without its folder there is nothing to roll back to.
+      await this._dependencies(dir, manifest);
+
+      let history = (pkg.history || []).slice();
+      if (Files.exists(dest)) {
+        history.push({
+          version:         pkg.version,
+          backup:          await this._backup(name, pkg.version),
+          date:            Date.now(),
+          settings:        pkg.settings,
+          settingsVersion: pkg.settingsVersion || pkg.version
+        });
+      } else {
+        Helpers.log({leader: 'warning', loud: true}, `Folder '${dest}' is missing, '${name}' ${pkg.version} can not be backed up.`);
+      }
+
+      // The node has to see its new version when it starts back up
+      await this._whileStopped(name, async function() {
+        if (Files.exists(dest)) { Files.remove(dest); }
+        fs.renameSync(dir, dest);
+
+        this.db.set(['packages', name], Object.assign({}, pkg, {
+          version:         version,
+          link:            this._link(manifest) || pkg.link,
+          history:         history,
+          dependencies:    this._dependsOn(manifest, pkg),
+          acl:             this._acl(manifest, pkg),
+          settingsVersion: pkg.settingsVersion || pkg.version
+        }));
+      }.bind(this));
+
+      Helpers.log({leader: 'highlight', loud: true}, `Updated '${name}' ${pkg.version} -> ${version}`);
+      return Packet.newMini({ result: this.db.get(['packages', name]) });
+    }.bind(this));
+  }
+
+  /**
+    * ASYNC
+    *
+    * Put the previous version of a node back in place.
+    *
+    * @param {string} name
+    *  Name of the package
+    */
+  async rollback(name) {
+    let pkg  = this.db.get(['packages', name]);
+    let dest = Files.join(this.root, name);
+
+    if (pkg === undefined || !pkg.installed) {
+      return Packet.newMiniError(`Package '${name}' is not installed!`);
+    }
+
+    let history = (pkg.history || []).slice();
+    if (history.length === 0) {
+      return Packet.newMiniError(`Package '${name}' has no version to roll back to!`);
+    }
+
+    let previous = history.pop();
+    if (!Files.exists(previous.backup)) {
+      return Packet.newMiniError(`Backup '${previous.backup}' is missing!`);
+    }
+
+    // Settings go back to how they were before the update, older backups
+    // did not keep them
+    let restored = ('settings' in previous) ?
+      { settings: previous.settings, settingsVersion: previous.settingsVersion } : {};
+
+    // Extracted next to it first, a broken backup leaves the current
+    // version alone
+    let dir = this._tmpDir();
+    try {
+      await Files.extract(previous.backup, dir);
+
+      await this._whileStopped(name, async function() {
+        if (Files.exists(dest)) { Files.remove(dest); }
+        fs.renameSync(dir, dest);
+
+        this.db.set(['packages', name], Object.assign({}, pkg, {
+          version: previous.version,
+          history: history
+        }, restored));
+      }.bind(this));
+    } catch (error) {
+      return Packet.newMiniError(`Package '${name}' could not be rolled back: ${error.message}`);
+    } finally {
+      if (Files.exists(dir)) { Files.remove(dir); }
+    }
+    Files.remove(previous.backup);
+
+    Helpers.log({leader: 'highlight', loud: true}, `Rolled back '${name}' ${pkg.version} -> ${previous.version}`);
+    return Packet.newMini({ result: this.db.get(['packages', name]) });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Remove an installed node.  Its settings stay in the settings file in
+    * case it gets installed again.
+    *
+    * @param {string} name
+    *  Name of the package
+    */
+  async uninstall(name) {
+    let pkg  = this.db.get(['packages', name]);
+    let dest = Files.join(this.root, name);
+
+    if (pkg === undefined || !pkg.installed) {
+      return Packet.newMiniError(`Package '${name}' is not installed!`);
+    }
+    if (pkg.mandatory) {
+      return Packet.newMiniError(`Package '${name}' is mandatory and can not be uninstalled!`);
+    }
+
+    if (this.supervisor !== null) {
+      await Promise.all(this.supervisor.namesOf(name).map(node => this.supervisor.stopAndWait(node)));
+    }
+    if (Files.exists(dest)) { Files.remove(dest); }
+
+    this.db.set(['packages', name, 'installed'], false);
+
+    Helpers.log({leader: 'highlight', loud: true}, `Uninstalled '${name}'`);
+    return Packet.newMini({ result: this.db.get(['packages', name]) });
+  }
+
+  /**
+    * List all packages with their version and flags.
+    */
+  list() {
+    let packages = this.db.get('packages') || {};
+    let result   = {};
+
+    Object.keys(packages).forEach(name => {
+      let pkg = packages[name];
+      result[name] = {
+        version:   pkg.version,
+        installed: pkg.installed,
+        enabled:   pkg.enabled,
+        mandatory: pkg.mandatory,
+        rollbacks: (pkg.history || []).map(h => h.version)
+      };
+    });
+
+    return Packet.newMini({ result: result });
+  }
+
+  /**
+    * Sort packages so every node comes after the nodes it depends on.
+    * Packages with a cycle, a missing dependency or a version that does not
+    * satisfy its range are left out, along with every package that depends
+    * on them.
+    *
+    * @param {array} names
+    *  Names of the packages that are going to be started
+    * @param {array} running
+    *  Names of nodes that are already running, ie. samcore
+    * @returns {json} miniPacket, result is { order, skipped }: the names
+    *  that can be started in start order, and why each of the others can
+    *  not { name: reason }
+    */
+  startOrder(names, running=[]) {
+    let packages = this.db.get('packages') || {};
+    let order    = [];
+    let skipped  = {};
+    let state    = {}; // undefined: not visited, 1: visiting, 2: done
+
+    let dependsOn = name => Object.keys((packages[name] && packages[name].dependencies) || {});
+
+    for (let name of names) {
+      let dependencies = (packages[name] && packages[name].dependencies) || {};
+
+      for (let dep of Object.keys(dependencies)) {
+        if ( !names.includes(dep) && !running.includes(dep) ) {
+          skipped[name] = `Package '${name}' depends on '${dep}', which is not installed, enabled and persistent!`;
+          break;
+        }
+
+        let version = packages[dep] ? packages[dep].version : undefined;
+        if ( !semver.valid(version) || !semver.satisfies(version, dependencies[dep]) ) {
+          skipped[name] = `Package '${name}' needs '${dep}' ${dependencies[dep]}, but ${version} is installed!`;
+          break;
+        }
+      }
+    }
+
+    // Returns whether the package can be started
+    let visit = function(name, path) {
+      if (running.includes(name)) { return true; }
+      if (state[name] === 2)      { return !(name in skipped); }
+      if (state[name] === 1) {
+        let cycle = path.slice(path.indexOf(name)).concat([name]);
+        cycle.forEach(n => { skipped[n] = `Dependency cycle between packages: ${cycle.join(' -> ')}`; });
+        return false;
+      }
+
+      state[name] = 1;
+      for (let dep of dependsOn(name).filter(dep => names.includes(dep))) {
+        if (!visit(dep, path.concat([name])) && !(name in skipped)) {
+          skipped[name] = `Package '${name}' depends on '${dep}', which can not be started!`;
+        }
+      }
+      state[name] = 2;
+
+      if (name in skipped) { return false; }
+      order.push(name);
+      return true;
+    };
+
+    names.forEach(name => visit(name, []));
+
+    return Packet.newMini({ result: { order, skipped } });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Copy or extract a package into a temporary folder and read its
+    * package.json.
+    */
+  async _stage(source, args={}) {
+    if (typeof source !== 'string' || !Files.exists(source)) {
+      return Packet.newMiniError(`Package source '${source}' does not exist!`);
+    }
+
+    let dir = this._tmpDir();
+
+    try {
+      if ( fs.statSync(source).isDirectory() ) {
+        Files.copy(source, dir);
+      } else {
+        await Files.extract(source, dir);
+      }
+    } catch (error) {
+      if (Files.exists(dir)) { Files.remove(dir); }
+      return Packet.newMiniError(`Package '${source}' could not be unpacked: ${error.message}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(Files.join(dir, 'package.json')));
+    } catch (e) {
+      Files.remove(dir);
+      return Packet.newMiniError(`Package '${source}' does not have a valid package.json!`);
+    }
+
+    let name    = args.name || manifest.name;
+    let version = semver.valid(manifest.version);
+
+    if (typeof name !== 'string' || !/^[a-z0-9_-]+$/.test(name)) {
+      Files.remove(dir);
+      return Packet.newMiniError(`Package name '${name}' is not valid!`);
+    }
+    if (version === null) {
+      Files.remove(dir);
+      return Packet.newMiniError(`Package version '${manifest.version}' is not valid!`);
+    }
+
+    return Packet.newMini({ result: { dir, name, version, manifest } });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Run a call with a package staged in a temporary folder, see _stage().
+    * The folder is gone afterwards, and anything the call throws is
+    * returned as an error.
+    */
+  async _withStaged(source, args, call) {
+    let staged = await this._stage(source, args);
+    if (!staged.status) { return staged; }
+
+    try {
+      return await call(staged.result);
+    } catch (error) {
+      return Packet.newMiniError(`Package '${staged.result.name}' could not be installed: ${error.message}`);
+    } finally {
+      if (Files.exists(staged.result.dir)) { Files.remove(staged.result.dir); }
+    }
+  }
+
+  _tmpDir() {
+    return Files.join(this.storage, 'tmp', crypto.randomBytes(6).toString('hex'));
+  }
+
+  /**
+    * ASYNC
+    *
+    * A running node, and any running instances of it, are stopped while its
+    * files are replaced and started back up afterwards, even if the call
+    * throws.
+    */
+  async _whileStopped(name, call) {
+    let running = this.supervisor === null ? [] : this.supervisor.namesOf(name).filter(node => {
+      return ['running', 'restarting'].includes(this.supervisor.status(node).status);
+    });
+
+    await Promise.all(running.map(node => this.supervisor.stopAndWait(node)));
+    try {
+      await call();
+    } finally {
+      running.forEach(node => this.supervisor.start(node));
+    }
+  }
+
+  /**
+    * ASYNC
+    *
+    * Compress an installed node so it can be rolled back to later.  Throws
+    * if the backup could not be made.
+    */
+  async _backup(name, version) {
+    let dir    = Files.join(this.storage, 'backups', name);
+    let backup = Files.join(dir, `${version}-${Date.now()}.tgz`);
+
+    Files.mkdir(dir);
+    try {
+      await Files.compress(Files.join(this.root, name), backup);
+    } catch (error) {
+      if (Files.exists(backup)) { Files.remove(backup); }
+      throw error;
+    }
+
+    return backup;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Packages from 'npm pack' do not come with their node_modules.  Throws
+    * if npm fails.
+    */
+  async _dependencies(dest, manifest) {
+    if (!this.installDependencies) { return; }
+    if (!manifest.dependencies || Object.keys(manifest.dependencies).length === 0) { return; }
+    if (Files.exists(Files.join(dest, 'node_modules'))) { return; }
+
+    await Files._run('npm install --omit=dev --prefix', Files.q(dest));
+  }
+
+  _dependsOn(manifest, pkg) {
+    if (manifest.sam && manifest.sam.dependencies) { return manifest.sam.dependencies; }
+    return (pkg && pkg.dependencies) || {};
+  }
+
+  _acl(manifest, pkg) {
+    if (manifest.sam && manifest.sam.acl) { return manifest.sam.acl; }
+    return (pkg && pkg.acl !== undefined) ? pkg.acl : null;
+  }
+
+  _link(manifest) {
+    if (typeof manifest.repository === 'string') { return manifest.repository; }
+    if (manifest.repository && manifest.repository.url) { return manifest.repository.url; }
+    return manifest.homepage || '';
+  }
+}
+
+module.exports = { PackageManager };
@@ -0,0 +1,197 @@
+const crypto      = require('crypto');
+const fs          = require('fs');
+const { Helpers } = require('./Helpers.js');
+const Packet      = Helpers.Packet;
+
+/**
+  * Credentials of the nodes, ie. OAuth tokens and API keys, kept apart from
+  * their plain settings.  Every value is encrypted with AES-256-GCM before
+  * it is written, and tied to the node and name it was stored under, so a
+  * value copied to another node's entry can not be read.
+  *
+  * The master key comes from the SAM_SECRETS_KEY environment variable, or
+  * else the key file, which is made with a new random key the first time.
+  * Anything works as a key, it is stretched with scrypt and the file's salt.
+  * A file made with one key can not be opened with another, the secrets then
+  * stay locked and every call returns an error.
+  *
+  * Secrets that are read or stored are added to Helpers.Redact, so they
+  * never show up in logs.
+  *
+  * All functions return a miniPacket, see Helpers.Packet.newMini().
+  */
+class Secrets {
+  /**
+    * @param {EditJsonFile} db
+    *  The file secrets are kept in
+    * @param {json} args
+    *  - key: the master key (default=SAM_SECRETS_KEY)
+    *  - keyFile: file the master key is read from when there is no key
+    *    (default=SAM_SECRETS_KEY_FILE or './.samcore/secrets.key')
+    * @returns this
+    */
+  constructor(db, args={}) {
+    this.db      = db;
+    this.keyFile = ('keyFile' in args) ? args.keyFile :
+      (process.env.SAM_SECRETS_KEY_FILE || Helpers.Files.join('cwd', '.samcore', 'secrets.key'));
+
+    this.key     = null;  // the stretched master key, null while locked
+    this.error   = 'Secrets have not been opened!';
+
+    this._master = ('key' in args) ? args.key : (process.env.SAM_SECRETS_KEY || null);
+
+    return this;
+  }
+
+  /**
+    * Unlock the file with the master key.  Every secret is read once so it
+    * can be redacted.
+    *
+    * @returns {json} miniPacket, the result is the number of secrets
+    */
+  open() {
+    let master = this._master;
+    if (master === null) {
+      if ( !fs.existsSync(this.keyFile) ) {
+        fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+        Helpers.log({leader: 'highlight', loud: true}, `New secrets key made in '${this.keyFile}', keep a copy of it!`);
+      }
+      master = fs.readFileSync(this.keyFile, 'utf8').trim();
+    }
+    this._master = null;
+
+    let salt = this.db.get('salt');
+    if (salt === undefined) {
+      salt = crypto.randomBytes(16).toString('hex');
+      this.db.set('salt', salt);
+    }
+    let key = crypto.scryptSync(master, Buffer.from(salt, 'hex'), 32);
+
+    let check = this.db.get('check');
+    if (check === undefined) {
+      this.db.set('check', this._encrypt(key, 'check', 'samcore'));
+    } else {
+      try {
+        this._decrypt(key, 'check', check);
+      } catch (error) {
+        this.error = `Secrets in '${this.db.path}' were stored with another key, they are locked!`;
+        return Packet.newMiniError(this.error);
+      }
+    }
+
+    this.key   = key;
+    this.error = null;
+
+    let count = 0;
+    Object.keys(this._secrets()).forEach(node => {
+      Object.keys(this._secrets()[node]).forEach(name => {
+        let mini = this.get(node, name);
+        if (mini.status) { count++; }
+        else { Helpers.log({leader: 'warning', loud: true}, mini.errorMessage); }
+      });
+    });
+
+    return Packet.newMini({ result: count });
+  }
+
+  /**
+    * @param {string} node
+    *  Node the secret belongs to
+    * @param {string} name
+    *  Name of the secret, ie. 'driveToken'
+    * @returns {json} miniPacket, the result is the value
+    */
+  get(node, name) {
+    if (this.key === null) { return Packet.newMiniError(this.error); }
+
+    let stored = (this._secrets()[node] || {})[name];
+    if (stored === undefined) {
+      return Packet.newMiniError(`Node '${node}' has no secret '${name}'!`);
+    }
+
+    let value;
+    try {
+      value = JSON.parse(this._decrypt(this.key, `${node}/${name}`, stored));
+    } catch (error) {
+      return Packet.newMiniError(`Secret '${name}' of '${node}' could not be decrypted!`);
+    }
+
+    Helpers.Redact.add(value);
+    return Packet.newMini({ result: value });
+  }
+
+  /**
+    * @param {string} node
+    *  Node the secret belongs to
+    * @param {string} name
+    *  Name of the secret, ie. 'driveToken'
+    * @param {all} value
+    *  Anything that can be stored as json
+    */
+  set(node, name, value) {
+    if (this.key === null) { return Packet.newMiniError(this.error); }
+
+    Helpers.Redact.add(value);
+
+    let stored = this._encrypt(this.key, `${node}/${name}`, JSON.stringify(value));
+    this.db.set(['secrets', node, name], Object.assign(stored, { updatedAt: Date.now() }));
+
+    return Packet.newMini();
+  }
+
+  delete(node, name) {
+    if (this.key === null) { return Packet.newMiniError(this.error); }
+
+    let secrets = this._secrets();
+    if ( !(node in secrets) || !(name in secrets[node]) ) {
+      return Packet.newMiniError(`Node '${node}' has no secret '${name}'!`);
+    }
+
+    delete secrets[node][name];
+    if (Object.keys(secrets[node]).length === 0) { delete secrets[node]; }
+    this.db.set('secrets', secrets);
+
+    return Packet.newMini();
+  }
+
+  /**
+    * Names of a node's secrets, never their values.
+    */
+  list(node) {
+    return Packet.newMini({ result: Object.keys(this._secrets()[node] || {}).sort() });
+  }
+
+  _secrets() {
+    return this.db.get('secrets') || {};
+  }
+
+  /**
+    * 'aad' is authenticated with the value, decrypting it under any other
+    * 'aad' fails.
+    */
+  _encrypt(key, aad, text) {
+    let iv     = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    let data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return {
+      iv:   iv.toString('base64'),
+      tag:  cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  _decrypt(key, aad, stored) {
+    let decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(stored.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+module.exports = { Secrets };
@@ -9,25 +9,156 @@ class Server {
     *        all of your nodes in the network.
     * @param {bool} isSilent 
     *  Allow or dis-allow verbose mode for node-ipc.
+    * @param {json} transport
+    *  How nodes can connect to this server.  Both can be used at once.
+    *  - local: serve on a local unix socket (default=true)
+    *  - tcp: { host, port } to serve on, or false (default=false)
+    *  - tls: node-ipc tls options { public, private, trustedConnections,
+    *    requestCert, rejectUnauthorized } to use tls on the tcp server, or
+    *    false (default=false)
+    *  Throws if nothing would listen, ie. { local: false } without tcp.
     * @returns this
     */
-  constructor(serverName, isSilent=true) {
+  constructor(serverName, isSilent=true, transport={}) {
     this.serverName        = serverName;
     this.ipc               = new IPCModule;
     this.ipc.config.id     = serverName;
     this.ipc.config.retry  = 1500;
     this.ipc.config.silent = isSilent;
+    if (Helpers.Log.node === null) { Helpers.Log.node = serverName; }
+
+    this.transport = Object.assign({ local: true, tcp: false, tls: false }, transport);
+    Server.checkTransport(this.transport);
+
+    /**
+      * node-ipc can only run one server per module, so the tcp server gets
+      * its own.
+      */
+    this.netIpc = null;
+    if (this.transport.tcp) {
+      this.transport.tcp = Object.assign({ host: '0.0.0.0', port: 8900 }, this.transport.tcp);
+
+      this.netIpc               = new IPCModule;
+      this.netIpc.config.id     = serverName;
+      this.netIpc.config.retry  = 1500;
+      this.netIpc.config.silent = isSilent;
+      if (this.transport.tls) { this.netIpc.config.tls = this.transport.tls; }
+    }
+
+    // All of the running ipc servers, see run()
+    this.servers   = [];
 
     this.calls     = [];
     this.callBacks = [];
-    this.sockets   = [];
+    this.sockets   = {};
+
+    /**
+      * Nodes that opted in to observing traffic.  Keyed by event name, each
+      * entry is a list of node names that get a copy of matching packets.
+      */
+    this.hooks     = {};
+
+    /**
+      * Topic patterns nodes subscribed to, see _addPubSubCalls().  Keyed by
+      * pattern, each entry is a list of node names.
+      */
+    this.subscriptions = {};
+
+    /**
+      * Api calls routed thru this server that are waiting on a return.  Keyed
+      * by returnCode so the return goes back to the exact call that made it,
+      * even if the handling node changed the packet.
+      */
+    this.pending   = {};
+
+    /**
+      * Interceptors run on routed api calls, see addInterceptor().  Kept
+      * sorted in the order they run before delivery.  'interceptCalls' are
+      * the packets out at interceptor nodes, keyed by returnCode.
+      */
+    this.interceptors     = [];
+    this.interceptCount   = 0;
+    this.interceptCalls   = {};
+    this.interceptTimeout = 5*1000;
+
+    // Api calls this server made to nodes, keyed by returnCode, see callApi()
+    this.serverCalls = {};
+
+    // One call per instance of a fan-out, keyed by returnCode, see _deliver()
+    this.subCalls = {};
+
+    /**
+      * Callbacks waiting on a node to reach a readiness state, see
+      * waitForNode().  Each is { name, state, resolve }.
+      */
+    this.stateWaiters = [];
+
+    /**
+      * What every connected node announced on nodeInit, keyed by node name.
+      * Used by the discovery api calls, see _addDiscoveryCalls().
+      */
+    this.nodeInfo  = {};
+    this.apiInfo   = {};
+
+    // Api calls whose args and result are hidden from hooks, see addApiCall()
+    this.redacted  = [];
 
-    // when set to true, all nodes can start communicating
-    this.greenLight = false;
+    // Api calls a node without an acl can not make, see canCall()
+    this.privileged = ['addInterceptor'];
+
+    /**
+      * Looks up the credentials and acl of a node by name, see useAuth().
+      * While this is null any node can connect as any name and call
+      * anything.
+      */
+    this.authLookup = null;
+
+    /**
+      * Looks up how calls to a service with several instances are routed,
+      * see useRouting().  'roundRobin' counts the calls made to each
+      * service.
+      */
+    this.routingLookup = null;
+    this.roundRobin    = {};
+
+    // Nonces of recent nodeInit proofs, so a proof can not be used twice
+    this.nonces     = {};
+
+    // when set to true, all nodes can start communicating, see greenLight
+    this._greenLight = false;
+
+    // when set to true, the network is going down, see shutdown()
+    this.shuttingDown = false;
+
+    this._addReadinessCalls();
+    this._addDiscoveryCalls();
+    this._addPubSubCalls();
+    this._addInterceptorCalls();
 
     return this;
   }
 
+  /**
+    * Make sure a transport would have a server listening.  Throws if not.
+    *
+    * @param {json} transport
+    *  see the constructor
+    */
+  static checkTransport(transport) {
+    if (!transport.local && !transport.tcp) {
+      throw new Error('Transport has neither local nor tcp, nodes would have nothing to connect to!');
+    }
+    if (transport.tls && !transport.tcp) {
+      throw new Error('Transport has tls but no tcp, tls only works on the tcp server!');
+    }
+    if (transport.tcp && 'port' in transport.tcp) {
+      let port = transport.tcp.port;
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Transport tcp port '${port}' is not a valid port!`);
+      }
+    }
+  }
+
   /**
     * Used to send data from a node api call to the receiving
     * node that made the call. The Server in this network is the
@@ -42,13 +173,35 @@ class Server {
     //   packet.data.status = true;
     // }
 
+    // One instance of a fan-out, it goes back to _fanOut() and not to the
+    // caller
+    if (packet.returnCode in this.subCalls) {
+      this.subCalls[packet.returnCode](packet);
+      return;
+    }
+
+    // A call this server made, see callApi()
+    if (packet.returnCode in this.serverCalls) {
+      this.serverCalls[packet.returnCode](packet);
+      this._emitHooks(`${packet.receiver}.${packet.apiCall}.return`, packet);
+      return;
+    }
+
+    // Only the node that made the call gets the return
+    this._emitTo(packet.sender, this._returnEvent(packet), packet);
+    this._emitHooks(`${packet.receiver}.${packet.apiCall}.return`, packet);
+  }
+
+  /**
+    * Event name the sender of a packet listens on for the return.
+    */
+  _returnEvent(packet) {
     // receiver.apiCall.return.sender.returnCode
     let returnCall = `${packet.receiver}.${packet.apiCall}.return.${packet.sender}`;
     if (packet.returnCode !== null) {
       returnCall += `.${packet.returnCode}`;
     }
-
-    this.ipc.server.broadcast(returnCall, packet);
+    return returnCall;
   }
 
   /**
@@ -79,12 +232,593 @@ class Server {
     * 
     * @param {json} packet 
     *  packet received from node
+    * @param {object} socket
+    *  socket the packet came in on, used to check the sender
+    */
+  async send(packet, socket=null) {
+    let call = `${packet.receiver}.${packet.apiCall}`;
+
+    if (!this._authorize(packet, socket)) return;
+
+    this._expirePending();
+
+    if (packet.returnCode !== null) {
+      // Only the socket it came from hears about it, the return routing
+      // would take the error to the call that has the returnCode already
+      if (packet.returnCode in this.pending) {
+        let message = `Duplicate returnCode '${packet.returnCode}'!`;
+        Helpers.log({leader: 'warning', loud: false}, message);
+
+        if (socket !== null) {
+          Helpers.Packet.mergeMini(packet, Helpers.Packet.newMiniError(message));
+          packet.errorCode = 'DUPLICATE_RETURN_CODE';
+          this._emitToSocket(socket, this._returnEvent(packet), packet);
+        }
+        return;
+      }
+
+      this.pending[packet.returnCode] = {
+        sender:     packet.sender,
+        receiver:   packet.receiver,
+        apiCall:    packet.apiCall,
+        returnCode: packet.returnCode,
+        node:       packet.receiver,
+        sentAt:     Date.now(),
+        seenAt:     Date.now()
+      };
+    }
+
+    if ( !(await this._intercept('before', packet, { stage: 'before', elapsed: 0 })) ) {
+      delete this.pending[packet.returnCode];
+      this.returnError(packet);
+      return;
+    }
+
+    // The sender went away while the interceptors were running
+    if (packet.returnCode !== null && !(packet.returnCode in this.pending)) { return; }
+
+    let route = this._route(packet.receiver);
+    if (route.policy === 'all') {
+      if (packet.returnCode !== null) { this.pending[packet.returnCode].node = null; }
+      this._emitHooks(call, packet);
+      this._fanOut(packet, route.nodes).catch(error => {
+        Helpers.log({leader: 'error', loud: false}, `Fan-out of '${call}' failed:`, error);
+        if ( !(packet.returnCode in this.pending) ) { return; }
+
+        this._cancelPending(packet.returnCode, 'Fan-out failed!');
+        this.returnError(packet, `Fan-out of '${call}' failed: ${error.message}`);
+      });
+      return;
+    }
+
+    let [node, ...fallbacks] = route.nodes;
+    if (packet.returnCode !== null) {
+      this.pending[packet.returnCode].node = node;
+
+      // The other instances take over if this one fails, see _failOver()
+      if (route.policy === 'primary') {
+        Object.assign(this.pending[packet.returnCode], { packet: packet, fallbacks: fallbacks });
+      }
+    }
+
+    if (!this._emitTo(node, `${node}.${packet.apiCall}`, packet)) {
+      delete this.pending[packet.returnCode];
+      this.returnError(packet, `Node '${packet.receiver}' is not connected!`);
+      return;
+    }
+
+    this._emitHooks(call, packet);
+  }
+
+  /**
+    * Forget a call we are waiting on and tell the node working on it to
+    * stop.
+    */
+  _cancelPending(returnCode, reason) {
+    let request = this.pending[returnCode];
+    delete this.pending[returnCode];
+    if (request === undefined) { return; }
+
+    // A fan-out has no single node to tell, each instance is told instead
+    if (request.node === null) {
+      Object.keys(this.pending).forEach(code => {
+        if (this.pending[code].parent === returnCode) { this._cancelPending(code, reason); }
+      });
+      return;
+    }
+
+    if (returnCode in this.subCalls) {
+      this.subCalls[returnCode](Helpers.Packet.cancelled(Helpers.Packet.new(request), reason));
+    }
+
+    this._emitTo(request.node, 'cancel', Helpers.Packet.new({
+      sender:     request.sender,
+      apiCall:    request.apiCall,
+      returnCode: request.returnCode,
+      args:       { reason: reason }
+    }));
+  }
+
+  /**
+    * Calls nobody has heard anything about for Server.pendingTimelimit ms
+    * are dropped, their caller is long gone.  Calls this server made, and
+    * the instances of a fan-out, are left to their own timelimit.
+    */
+  _expirePending() {
+    let now = Date.now();
+
+    Object.keys(this.pending).forEach(returnCode => {
+      let request = this.pending[returnCode];
+      if (request === undefined || returnCode in this.serverCalls || returnCode in this.subCalls) { return; }
+      if (now - request.seenAt < Server.pendingTimelimit) { return; }
+
+      Helpers.log(
+        {leader: 'warning', loud: false},
+        `Dropping '${request.receiver}.${request.apiCall}' from '${request.sender}', no answer in ${now - request.seenAt}ms.`
+      );
+      this._cancelPending(returnCode, 'Expired, the caller is not waiting anymore!');
+    });
+  }
+
+  /**
+    * Pick the nodes a call to the receiver goes to.  A receiver that is a
+    * connected node, or names an instance, goes straight to it.  A service
+    * name goes to its instances by the policy of the service, see
+    * useRouting().  Instances that are ready are picked over the ones that
+    * are still starting.
+    *
+    * @param {string} receiver
+    *  Node or service the call is for
+    * @returns {json} { policy, nodes }, policy is null if the receiver is
+    *  not a service with instances
+    */
+  _route(receiver) {
+    let instances = (receiver in this.sockets) ? [] : this._instances(receiver);
+    if (instances.length === 0) { return { policy: null, nodes: [receiver] }; }
+
+    let routing = (this.routingLookup !== null && this.routingLookup(receiver)) || {};
+    let policy  = routing.policy || 'round-robin';
+    let names   = (routing.names || []).map(name => `${receiver}@${name}`);
+
+    let ready = instances.filter(name => this.nodeState(name) === 'ready');
+    if (ready.length > 0) { instances = ready; }
+
+    // Instances in the order of names, any others after them
+    let rank = name => names.includes(name) ? names.indexOf(name) : names.length;
+    instances.sort((a, b) => (rank(a) - rank(b)) || a.localeCompare(b));
+
+    if (policy === 'all')     { return { policy: policy, nodes: instances }; }
+    if (policy === 'primary') { return { policy: policy, nodes: instances }; }
+
+    let count = this.roundRobin[receiver] || 0;
+    this.roundRobin[receiver] = count + 1;
+    return { policy: 'round-robin', nodes: [instances[count % instances.length]] };
+  }
+
+  /**
+    * Connected instances of a service, ie. 'storage@a' and 'storage@b' for
+    * 'storage'.
+    */
+  _instances(service) {
+    if (service.includes('@')) { return []; }
+    return Object.keys(this.sockets).filter(name => name.startsWith(`${service}@`));
+  }
+
+  /**
+    * ASYNC
+    *
+    * Send a call to every instance of a service.  The caller gets a single
+    * return once every instance answered, see Helpers.Packet.aggregate().
+    * Interceptors and hooks run once, for the call as a whole.
+    *
+    * @param {json} packet
+    *  packet received from node
+    * @param {array} nodes
+    *  Instances to call
+    */
+  async _fanOut(packet, nodes) {
+    if (packet.returnCode === null) {
+      nodes.forEach(node => this._emitTo(node, `${node}.${packet.apiCall}`, packet));
+      return;
+    }
+
+    let returns = await Promise.all(nodes.map(node => this._deliver(packet, node, Server.pendingTimelimit)));
+
+    // The caller gave up on the call while the instances were working
+    if ( !(packet.returnCode in this.pending) ) { return; }
+
+    Helpers.Packet.aggregate(packet, returns);
+    await this._returnFromNode(packet);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Deliver a call to one instance of a fan-out, under a returnCode of its
+    * own.  The return comes back here, it skips interceptors and hooks.
+    *
+    * @param {json} packet
+    *  packet of the call as a whole
+    * @param {string} node
+    *  Instance to deliver to
+    * @param {integer} timelimit
+    *  ms to wait for the return
+    * @returns {json} the returned packet
+    */
+  async _deliver(packet, node, timelimit) {
+    let sub = Object.assign({}, packet, {
+      receiver:   node,
+      returnCode: Helpers.Packet.newReturnCode()
+    });
+    let start = Date.now();
+
+    try {
+      return await Helpers._promise(function(resolve, reject) {
+        this.subCalls[sub.returnCode] = resolve;
+        this.pending[sub.returnCode] = {
+          sender:     sub.sender,
+          receiver:   node,
+          apiCall:    sub.apiCall,
+          returnCode: sub.returnCode,
+          node:       node,
+          parent:     packet.returnCode,
+          sentAt:     start,
+          seenAt:     start
+        };
+
+        if (!this._emitTo(node, `${node}.${sub.apiCall}`, sub)) {
+          delete this.pending[sub.returnCode];
+          resolve(Object.assign(sub, {
+            status:       false,
+            errorMessage: `Node '${node}' is not connected!`
+          }));
+        }
+      }.bind(this), timelimit, function() {
+        delete this.subCalls[sub.returnCode];
+        this._cancelPending(sub.returnCode, `Timed out after ${timelimit}ms`);
+        return Helpers.Packet.timeout(sub, Date.now() - start);
+      }.bind(this));
+    }
+    finally {
+      delete this.subCalls[sub.returnCode];
+      delete this.pending[sub.returnCode];
+    }
+  }
+
+  /**
+    * Hand a call the primary instance failed over to the next instance, see
+    * _route().  Instances that are not connected anymore are skipped.
+    *
+    * @param {string} returnCode
+    *  returnCode of the call
+    * @param {string} reason
+    *  Why the instance it was on failed
+    * @returns {bool} false if there is no instance left to try
+    */
+  _failOver(returnCode, reason) {
+    let request = this.pending[returnCode];
+    if (request === undefined || request.fallbacks === undefined) { return false; }
+
+    while (request.fallbacks.length > 0) {
+      let node = request.fallbacks.shift();
+      if ( !(node in this.sockets) ) { continue; }
+
+      Helpers.log(
+        {leader: 'warning', loud: false},
+        `'${request.node}' failed '${request.receiver}.${request.apiCall}' (${reason}), trying '${node}'.`
+      );
+
+      request.node   = node;
+      request.seenAt = Date.now();
+      this._emitTo(node, `${node}.${request.apiCall}`, request.packet);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Call an api call of a node from this server.  The call is routed like
+    * any other, interceptors and hooks included.
+    *
+    * @param {string} receiver
+    *  Node to call
+    * @param {string} apiCall
+    *  Name of the api call
+    * @param {json} args
+    *  args for the api call
+    * @param {json} options
+    *  - timelimit: ms to wait for the return, 0 waits forever
+    *    (default=10000)
+    *  - sender: make the call in the name of this node instead of the
+    *    server, the return still comes back here
+    * @returns {json} the returned packet
+    */
+  async callApi(receiver, apiCall, args={}, options={}) {
+    options = Object.assign({ timelimit: 10*1000, sender: this.serverName }, options);
+
+    let packet = Helpers.Packet.new({
+      sender:   options.sender,
+      receiver: receiver,
+      apiCall:  apiCall,
+      args:     args
+    });
+    let start = Date.now();
+
+    try {
+      return await Helpers._promise(function(resolve, reject) {
+        this.serverCalls[packet.returnCode] = resolve;
+        this.send(packet).catch(error => this._routeFailed(packet, error));
+      }.bind(this), options.timelimit, function() {
+        delete this.pending[packet.returnCode];
+        return Helpers.Packet.timeout(packet, Date.now() - start);
+      }.bind(this));
+    }
+    finally {
+      delete this.serverCalls[packet.returnCode];
+    }
+  }
+
+  /**
+    * A node is returning an api call that was routed thru this server.  The
+    * returnCode must match a call we are still waiting on, and the routing
+    * info is restored from when the call was sent.
+    *
+    * @param {json} packet
+    *  packet received from node
+    * @param {object} socket
+    *  socket the packet came in on
+    */
+  async _returnFromNode(packet, socket=null) {
+    if (packet.returnCode === null) {
+      this.return(packet);
+      return;
+    }
+
+    if ( !(packet.returnCode in this.pending) ) {
+      Helpers.log({leader: 'warning', loud: false}, `Dropping return with unknown returnCode '${packet.returnCode}'.`);
+      return;
+    }
+
+    // Only the node the call was sent to can return it
+    let request = this.pending[packet.returnCode];
+    if (socket !== null && this.sockets[request.node] !== socket) {
+      Helpers.log({leader: 'warning', loud: false}, `Dropping return for '${packet.returnCode}' from the wrong node.`);
+      return;
+    }
+
+    // An error from the primary gives the next instance a go
+    if (packet.status === false && this._failOver(packet.returnCode, packet.errorMessage)) { return; }
+
+    Object.assign(packet, {
+      sender:     request.sender,
+      receiver:   request.receiver,
+      apiCall:    request.apiCall,
+      returnCode: request.returnCode
+    });
+    delete this.pending[packet.returnCode];
+
+    // One instance of a fan-out, see _deliver()
+    if (packet.returnCode in this.subCalls) {
+      this.return(packet);
+      return;
+    }
+
+    await this._intercept('after', packet, { stage: 'after', elapsed: Date.now() - request.sentAt });
+
+    this.return(packet);
+  }
+
+  /**
+    * Add an interceptor for routed api calls.  Interceptors run in SamCore
+    * between the caller and the node being called:
+    *   - before: runs before the call is delivered.  It can change
+    *     packet.args, or veto the call by setting packet.status to false
+    *     (with an errorMessage), the call then goes back to the caller
+    *     without being delivered.
+    *   - after: runs on the return before it goes back to the caller.  It
+    *     can change packet.result, status, errorMessage and errorCode.
+    *
+    * Higher priorities run first before delivery, and last on the return.
+    * Interceptors with the same priority run in the order they were added.
+    * Calls made straight to this server are not intercepted.
+    *
+    * @param {string} pattern
+    *  'receiver.apiCall' to intercept, wildcards allowed, ie. '*.upload*'
+    * @param {json} options
+    *  - priority: integer (default=0)
+    *  - before: function(packet, info) to run before delivery
+    *  - after: function(packet, info) to run on the return.  info.elapsed
+    *    is the ms the call took.
+    *  Both can be async.
+    * @returns this
+    */
+  addInterceptor(pattern, options={}) {
+    this._addInterceptor({
+      owner:    this.serverName,
+      id:       null,
+      pattern:  pattern,
+      priority: options.priority || 0,
+      before:   options.before ? options.before.bind(this) : null,
+      after:    options.after  ? options.after.bind(this)  : null
+    });
+    return this;
+  }
+
+  _addInterceptor(interceptor) {
+    interceptor.order = this.interceptCount++;
+
+    this.interceptors.push(interceptor);
+    this.interceptors.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+  }
+
+  /**
+    * Routing a packet threw.  The error is logged, and the caller gets it if
+    * it is still waiting on the call.
     */
-  send(packet) {
-    this.ipc.server.broadcast(
-      `${packet.receiver}.${packet.apiCall}`,
-      packet
-    );
+  _routeFailed(packet, error) {
+    let call = `${packet.receiver}.${packet.apiCall}`;
+    Helpers.log({leader: 'error', loud: true}, `Could not route '${call}':`, error.message);
+
+    if (packet.returnCode === null || !(packet.returnCode in this.pending)) { return; }
+
+    delete this.pending[packet.returnCode];
+    this.returnError(packet, `SamCore could not route '${call}'!`);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Run every interceptor matching the packet for one stage.  Interceptors
+    * can only change the args and the outcome of a call, never where it is
+    * going.
+    *
+    * @param {string} stage
+    *  'before' or 'after'
+    * @param {json} packet
+    *  routed packet, changed in place
+    * @param {json} info
+    *  { stage, elapsed } handed to the interceptors
+    * @returns {bool} false if the call was vetoed
+    */
+  async _intercept(stage, packet, info) {
+    let call  = `${packet.receiver}.${packet.apiCall}`;
+    let chain = this.interceptors.filter(i => i[stage] !== null && Helpers.wildcard(i.pattern, call));
+    if (stage === 'after') { chain.reverse(); }
+
+    for (let interceptor of chain) {
+      let changed = await this._runInterceptor(interceptor, stage, packet, info);
+
+      ['args', 'status', 'result', 'errorMessage', 'errorCode'].forEach(key => {
+        if (key in changed) { packet[key] = changed[key]; }
+      });
+
+      if (stage === 'before' && !packet.status) {
+        if (packet.errorMessage === false) {
+          packet.errorMessage = `'${call}' was vetoed by '${interceptor.owner}'!`;
+        }
+        if (packet.errorCode === false) { packet.errorCode = 'VETOED'; }
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+    * ASYNC
+    *
+    * Run one interceptor, here or on the node that added it.  An interceptor
+    * that throws or does not answer in time fails the call.
+    *
+    * @returns {json} the packet as the interceptor left it
+    */
+  async _runInterceptor(interceptor, stage, packet, info) {
+    let failed = function(message) {
+      Helpers.log({leader: 'warning', loud: false}, message);
+      return { status: false, errorMessage: message, errorCode: 'INTERCEPTOR_FAILED' };
+    };
+
+    if (interceptor.owner === this.serverName) {
+      try {
+        await interceptor[stage](packet, info);
+        return packet;
+      } catch (e) {
+        return failed(`Interceptor '${interceptor.pattern}' failed: ${e.message}`);
+      }
+    }
+
+    let call = Helpers.Packet.new({
+      sender:   this.serverName,
+      receiver: interceptor.owner,
+      apiCall:  'intercept',
+      args:     { id: interceptor.id, stage: stage, info: info, packet: packet }
+    });
+
+    try {
+      let changed = await Helpers._promise(function(resolve, reject) {
+        this.interceptCalls[call.returnCode] = { owner: interceptor.owner, resolve: resolve };
+
+        if (!this._emitTo(interceptor.owner, 'intercept', call)) {
+          resolve(failed(`Interceptor node '${interceptor.owner}' is not connected!`));
+        }
+      }.bind(this), this.interceptTimeout, function() {
+        return failed(`Interceptor node '${interceptor.owner}' did not answer within ${this.interceptTimeout}ms!`);
+      }.bind(this));
+
+      if (typeof changed !== 'object' || changed === null || Array.isArray(changed)) {
+        return failed(`Interceptor node '${interceptor.owner}' did not send back a packet!`);
+      }
+      return changed;
+    }
+    finally {
+      delete this.interceptCalls[call.returnCode];
+    }
+  }
+
+  /**
+    * Emit an event to a single node by name.
+    *
+    * @param {string} name
+    *  Name of the node to send to
+    * @param {string} event
+    *  Event name the node is listening for
+    * @param {json} packet
+    *  packet to send
+    * @returns {bool} false if the node is not connected
+    */
+  _emitTo(name, event, packet) {
+    if ( !(name in this.sockets) ) {
+      Helpers.log({leader: 'warning', loud: false}, `Can not route '${event}', '${name}' is not connected.`);
+      return false;
+    }
+
+    this._emitToSocket(this.sockets[name], event, packet);
+    return true;
+  }
+
+  /**
+    * Emit an event to a socket, on whichever transport it is connected to.
+    */
+  _emitToSocket(socket, event, packet) {
+    let server = this.servers.find(server => server.sockets.includes(socket)) || this.servers[0];
+    server.emit(socket, event, packet);
+  }
+
+  /**
+    * Send an event to every connected socket on every transport.
+    *
+    * @param {string} event
+    *  Event name
+    * @param {json} packet
+    *  packet to send
+    */
+  _broadcast(event, packet) {
+    this.servers.forEach(server => server.broadcast(event, packet));
+  }
+
+  /**
+    * Send a copy of a packet to every node that opted in to observing this
+    * event with the 'addHook' api call.
+    *
+    * @param {string} event
+    *  Event name being observed
+    * @param {json} packet
+    *  packet to send
+    */
+  _emitHooks(event, packet) {
+    if ( !(event in this.hooks) ) { return; }
+
+    // Observers never see secrets, see Helpers.Redact
+    let copy = Helpers.Redact.json(packet);
+    if (this.redacted.includes(`${packet.receiver}.${packet.apiCall}`)) {
+      copy = Object.assign({}, copy, { args: Helpers.Redact.mask, result: Helpers.Redact.mask });
+    }
+
+    this.hooks[event].forEach(name => {
+      this._emitTo(name, event, copy);
+    });
   }
 
   /**
@@ -92,112 +826,874 @@ class Server {
     * 
     * @param {string} call 
     *  Name of API call
+    * @param {json} options
+    *  Optional, can be left out.
+    *  - args: schema for packet.args, see Helpers.Packet.validateArgs().
+    *    Packets that don't match are returned with an error before the
+    *    callBack runs.
+    *  - description: what the api call does, shown to other nodes
+    *  - version: version of the api call as string '1.0.0'
+    *  - redact: hooks get the packet without its args and result, for api
+    *    calls that carry secrets
+    *  - privileged: only trusted nodes, or nodes whose acl allows it, can
+    *    make this call, see canCall()
     * @param {function(packet, socket)} callBack 
     *  Function to run when this API call is called.  Must include arguments.
     * @returns this
     */
-  addApiCall(call, callBack) {
+  addApiCall(call, options, callBack) {
+    if (typeof options === 'function') { callBack = options; options = {}; }
+
+    let schema = options.args || null;
+    callBack   = callBack.bind(this);
+
+    this.apiInfo[call] = Helpers.describeApiCall(call, options);
     this.calls.push(`${this.serverName}.${call}`);
-    this.callBacks.push(callBack.bind(this));
+    if (options.redact)     { this.redacted.push(`${this.serverName}.${call}`); }
+    if (options.privileged) { this.privileged.push(call); }
+    this.callBacks.push(function(packet, socket) {
+      if (schema !== null && !Helpers.Packet.checkSchema(this, schema, packet)) return;
+      return callBack(packet, socket);
+    }.bind(this));
     return this;
   }
 
-  async _timeout(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+    * Turn on authentication and access control.  Every node then has to
+    * prove who it is on nodeInit, and can only make the api calls its acl
+    * allows.  See Helpers.Auth.
+    *
+    * @param {function(name)} lookup
+    *  Returns { auth, acl, trusted } for a node, or null if the node is not
+    *  registered.  'auth' is { secret } or { publicKey }, 'acl' is
+    *  { nodeName: ['apiCall', ..] } with '*' wildcards, or null to allow
+    *  everything but the privileged api calls of this server.  'trusted'
+    *  nodes without an acl can make those too.
+    * @returns this
+    */
+  useAuth(lookup) {
+    this.authLookup = lookup;
+    return this;
   }
 
   /**
-    * Main function to start the server up
+    * Set how calls to a service with several instances are routed, see
+    * _route().  Without a lookup, calls go round-robin.
+    *
+    * @param {function(service)} lookup
+    *  Returns { names, policy } for a service, or null.  'names' are the
+    *  instances in the order 'primary' tries them, 'policy' is
+    *  'round-robin', 'primary' or 'all'.
+    * @returns this
     */
-  async run(args) {
-    this.ipc.serve(function() {
-      this.ipc.server.on('*', function(message, packet, socket) {
-        if (message == 'connect') { return; }
+  useRouting(lookup) {
+    this.routingLookup = lookup;
+    return this;
+  }
+
+  /**
+    * Check a node that is trying to join the network.
+    *
+    * @param {json} args
+    *  nodeInit args { name, auth }
+    * @param {object} socket
+    *  socket the node connected on
+    * @returns {json} { acl } if the node may join, otherwise
+    *  { errorMessage, errorCode }
+    */
+  _authenticate(args, socket) {
+    let name = args.name;
+
+    if (typeof name !== 'string' || !/^[^.@]+(@[^.@]+)?$/.test(name) || name === this.serverName) {
+      return { errorMessage: `Node name '${name}' is not allowed!`, errorCode: 'INVALID_NAME' };
+    }
+
+    let current = this.sockets[name];
+    if (current !== undefined && current !== socket && !current.destroyed) {
+      return { errorMessage: `Node '${name}' is already connected!`, errorCode: 'DUPLICATE_NODE' };
+    }
+
+    let other = Object.keys(this.sockets).find(n => n !== name && this.sockets[n] === socket);
+    if (other !== undefined) {
+      return { errorMessage: `This connection already belongs to node '${other}'!`, errorCode: 'DUPLICATE_NODE' };
+    }
+
+    if (this.authLookup === null) { return { acl: null, trusted: true }; }
+
+    // Every instance of a service uses the credentials of the service
+    let entry = this.authLookup(Helpers.serviceName(name));
+    if (entry === null || entry === undefined) {
+      return { errorMessage: `Node '${name}' is not registered!`, errorCode: 'UNKNOWN_NODE' };
+    }
+
+    let error = Helpers.Auth.verify(name, args.auth, entry.auth);
+    if (error === null && args.auth.nonce in this.nonces) {
+      error = `Credentials of node '${name}' were already used!`;
+    }
+    if (error !== null) {
+      return { errorMessage: error, errorCode: 'NOT_AUTHENTICATED' };
+    }
+
+    // Forget nonces that are too old to pass verify() anyway
+    let now = Date.now();
+    Object.keys(this.nonces).forEach(nonce => {
+      if (this.nonces[nonce] < now - 2*Helpers.Auth.window) { delete this.nonces[nonce]; }
+    });
+    this.nonces[args.auth.nonce] = now;
+
+    return { acl: ('acl' in entry) ? entry.acl : null, trusted: entry.trusted === true };
+  }
+
+  /**
+    * Make sure a packet came from the node it says it did, and that the
+    * node's acl allows the api call.  If not, an error is returned straight
+    * to the socket the packet came in on and this returns false.
+    *
+    * @param {json} packet
+    *  packet received from node
+    * @param {object} socket
+    *  socket the packet came in on
+    * @param {string} receiver
+    *  node the call is for (default=packet.receiver)
+    * @param {string} apiCall
+    *  api call being made (default=packet.apiCall)
+    * @returns {bool}
+    */
+  _authorize(packet, socket, receiver=packet.receiver, apiCall=packet.apiCall) {
+    if (this.authLookup === null || socket === null) { return true; }
+
+    let error;
+    if (this.sockets[packet.sender] !== socket) {
+      error = { errorMessage: `Node '${packet.sender}' has not joined the network!`, errorCode: 'NOT_AUTHENTICATED' };
+    } else if (!this.canCall(packet.sender, receiver, apiCall)) {
+      error = { errorMessage: `Node '${packet.sender}' is not allowed to call '${receiver}.${apiCall}'!`, errorCode: 'FORBIDDEN' };
+    } else {
+      return true;
+    }
+
+    Helpers.log({leader: 'warning', loud: false}, error.errorMessage);
+
+    packet.status       = false;
+    packet.errorMessage = error.errorMessage;
+    packet.errorCode    = error.errorCode;
+    this._emitToSocket(socket, this._returnEvent(packet), packet);
+
+    return false;
+  }
+
+  /**
+    * Make sure a packet came from the node it says it is from, even without
+    * useAuth().  Only the socket the sender joined on counts, calls this
+    * server makes in a node's name (socket is null) do not.  If not, an
+    * error is returned to whoever sent it and this returns false.
+    *
+    * @param {json} packet
+    *  packet received from node
+    * @param {object} socket
+    *  socket the packet came in on
+    * @returns {bool}
+    */
+  checkSender(packet, socket) {
+    if (socket && this.sockets[packet.sender] === socket) { return true; }
+
+    packet.status       = false;
+    packet.errorMessage = `Only '${packet.sender}' itself can call '${packet.receiver}.${packet.apiCall}'!`;
+    packet.errorCode    = 'FORBIDDEN';
+
+    if (socket) { this._emitToSocket(socket, this._returnEvent(packet), packet); }
+    else        { this.return(packet); }
+
+    return false;
+  }
+
+  /**
+    * Can a node make an api call?  Always true when useAuth() is off.  A
+    * node without an acl can call anything but the privileged api calls of
+    * this server, those need an acl that allows them or a trusted node, see
+    * useAuth().
+    *
+    * @param {string} name
+    *  Node making the call
+    * @param {string} receiver
+    *  Node being called
+    * @param {string} apiCall
+    *  Name of the api call
+    * @returns {bool}
+    */
+  canCall(name, receiver, apiCall) {
+    if (receiver === this.serverName && Server.openCalls.includes(apiCall)) { return true; }
+
+    if (this.authLookup === null) { return true; }
+
+    let info = this.nodeInfo[name] || {};
+    if (info.acl === null || info.acl === undefined) {
+      return info.trusted === true || receiver !== this.serverName || !this.privileged.includes(apiCall);
+    }
+
+    return this.aclAllows(name, receiver, apiCall);
+  }
+
+  /**
+    * Does the acl of a node have an entry for an api call?  Unlike
+    * canCall(), a node without an acl is not allowed anything.  Always true
+    * when useAuth() is off.
+    *
+    * @param {string} name
+    *  Node making the call
+    * @param {string} receiver
+    *  Node being called
+    * @param {string} apiCall
+    *  Name of the api call
+    * @returns {bool}
+    */
+  aclAllows(name, receiver, apiCall) {
+    if (this.authLookup === null) { return true; }
+
+    let acl = (this.nodeInfo[name] || {}).acl;
+    if (acl === null || acl === undefined) { return false; }
+
+    // An acl entry for a service covers all of its instances
+    return Object.keys(acl).some(node => {
+      return (Helpers.wildcard(node, receiver) || Helpers.wildcard(node, Helpers.serviceName(receiver))) &&
+        acl[node].some(call => Helpers.wildcard(call, apiCall));
+    });
+  }
+
+  /**
+    * When the green light is turned on, every connected node is told that
+    * the network is ready.  Nodes that connect later are told on nodeInit.
+    */
+  get greenLight() {
+    return this._greenLight;
+  }
+
+  set greenLight(value) {
+    let changed      = value && !this._greenLight;
+    this._greenLight = value;
+
+    if (changed) {
+      this._broadcast('networkReady', Helpers.Packet.new({
+        sender:     this.serverName,
+        apiCall:    'networkReady',
+        returnCode: false
+      }));
+    }
+  }
 
-        if (message == `${this.serverName}.return`) {
-          this.return(packet);
+  /**
+    * Readiness state of a node:
+    *   - 'connecting':   not connected, or has not sent nodeInit yet
+    *   - 'initializing': sent nodeInit, still loading its api calls
+    *   - 'ready':        api calls are loaded, ready to be called
+    *
+    * A service with instances is in the furthest state of any of them.
+    *
+    * @param {string} name
+    *  Name of the node
+    */
+  nodeState(name) {
+    if (name === this.serverName) { return this.greenLight ? 'ready' : 'initializing'; }
+    if (name in this.nodeInfo) { return this.nodeInfo[name].state; }
+
+    let ranks = this._instances(name)
+      .filter(instance => instance in this.nodeInfo)
+      .map(instance => Server.nodeStates.indexOf(this.nodeInfo[instance].state));
+    return Server.nodeStates[Math.max(0, ...ranks)];
+  }
+
+  _setNodeState(name, state) {
+    this.nodeInfo[name].state = state;
+
+    let rank    = Server.nodeStates.indexOf(state);
+    let waiting = [];
+    this.stateWaiters.forEach(waiter => {
+      let named = (waiter.name === name || waiter.name === Helpers.serviceName(name));
+      if (named && Server.nodeStates.indexOf(waiter.state) <= rank) {
+        waiter.resolve(true);
+      } else {
+        waiting.push(waiter);
+      }
+    });
+    this.stateWaiters = waiting;
+  }
+
+  /**
+    * Built-in api calls so nodes can tell us they are ready and wait on
+    * each other.
+    */
+  _addReadinessCalls() {
+    this
+      .addApiCall('nodeReady', {
+        description: 'Called by a node once its api calls are loaded.'
+      }, function(packet) {
+        if ( !(packet.sender in this.nodeInfo) ) {
+          this.returnError(packet, `Node '${packet.sender}' has not sent nodeInit!`);
+          return;
         }
-        // else if (message == `${this.serverName}.returnError`) {
-          // this.returnError(packet);
-        // }
-        else if (message == `${this.serverName}.send`) {
-          this.send(packet);
+
+        this._setNodeState(packet.sender, 'ready');
+        this.return(packet);
+      })
+
+      .addApiCall('waitForNode', {
+        description: 'Returns once a node reaches a readiness state.',
+        args: {
+          name:      { type: 'string', required: true },
+          state:     { type: 'string', enum: Server.nodeStates, default: 'ready' },
+          timelimit: { type: 'integer', default: 30*1000 }
         }
-      }.bind(this));
+      }, async function(packet) {
+        let args = packet.args;
 
-      /**
-        * This allows the server to collect sockets of the
-        * connected nodes in the network.
-        */
-      this.ipc.server.on(`${this.serverName}.nodeInit`, function(packet, socket) {
-        // this.sockets[packet.data.name] = socket;
-        this.sockets[packet.args.name] = socket;
+        if ( !(await this.waitForNode(args.name, args.timelimit, args.state)) ) {
+          packet.errorCode = 'NODE_NOT_READY';
+          this.returnError(packet, `Node '${args.name}' did not reach '${args.state}' within ${args.timelimit}ms!`);
+          return;
+        }
 
-        // packet.data = { status: true };
+        packet.result = true;
         this.return(packet);
-      }.bind(this));
+      });
+  }
 
-      /**
-        * This tells nodes in the network if it is ok to start broadcasting
-        * after initializing.
-        */
-      this.ipc.server.on(`${this.serverName}.greenLight`, function(packet, socket) {
-        // packet.data = { status: true, result: this.greenLight };
-        packet.result = this.greenLight;
+  /**
+    * Built-in api calls so nodes and tools can see what the network can do.
+    */
+  _addDiscoveryCalls() {
+    let describe = function(name) {
+      if (name === this.serverName) {
+        return {
+          name:        name,
+          state:       this.nodeState(name),
+          connectedAt: null,
+          apiCalls:    Object.values(this.apiInfo)
+        };
+      }
+      if ( !(name in this.nodeInfo) ) { return null; }
+      return Object.assign({ name: name }, this.nodeInfo[name]);
+    }.bind(this);
+
+    let allNodes = function() {
+      return [this.serverName].concat(Object.keys(this.nodeInfo)).map(describe);
+    }.bind(this);
+
+    this
+      .addApiCall('listNodes', {
+        description: 'List every connected node and how many api calls it has.'
+      }, function(packet) {
+        packet.result = allNodes().map(node => ({
+          name:        node.name,
+          state:       node.state,
+          connectedAt: node.connectedAt,
+          apiCalls:    node.apiCalls.length
+        }));
         this.return(packet);
-      }.bind(this));
+      })
 
-      /**
-        * Built-in for sending messages to other nodes.  Easy way
-        * to be able to debug connection issues.
-        */
-      this.ipc.server.on(`${this.serverName}.message`, function(packet, socket) {
-        Helpers.log(
-          {leader: 'arrow', loud: true},
-          `Message from '${packet.sender}':`,
-          packet.args.message
-        );
-
-        // packet.data = true;
-        // this.return(packet);
-      }.bind(this));
+      .addApiCall('describeNode', {
+        description: 'Every api call of a node with its description, version and args.',
+        args: { name: { type: 'string', required: true } }
+      }, function(packet) {
+        let node = describe(packet.args.name);
+        if (node === null) {
+          this.returnError(packet, `Node '${packet.args.name}' is not connected!`);
+          return;
+        }
 
-      /**
-        * Used to make sure we remove any sockets that no longer exists.
-        * When a socket disconnects, we find the socket and delete it.
-        */
-      this.ipc.server.on('socket.disconnected', function(socket, destroyedSocketID) {
-        let keys = Object.keys(this.sockets);
-        for (var key in keys) {
-          try {
-            this.ipc.server.emit(this.sockets[key], 'wellnessCheck', {});
-          } catch (error) {
-            delete this.sockets[key];
-          }
+        packet.result = node;
+        this.return(packet);
+      })
+
+      .addApiCall('findApi', {
+        description: "Find the nodes that have an api call.  Supports '*' wildcards.",
+        args: { apiCall: { type: 'string', required: true } }
+      }, function(packet) {
+        packet.result = [];
+
+        allNodes().forEach(node => {
+          node.apiCalls.forEach(info => {
+            if (Helpers.wildcard(packet.args.apiCall, info.name)) {
+              packet.result.push(Object.assign({ node: node.name }, info));
+            }
+          });
+        });
+
+        this.return(packet);
+      });
+  }
+
+  /**
+    * Built-in api calls for topics.  Nodes subscribe to topic patterns and
+    * anything published to a matching topic is sent to them, and only them.
+    * Topics are split on dots like api calls, ie. 'gdrive.uploadFinished',
+    * and patterns can use wildcards, see Helpers.wildcard().
+    */
+  _addPubSubCalls() {
+    this
+      .addApiCall('subscribe', {
+        description: "Get everything published to topics matching a pattern.",
+        args: { pattern: { type: 'string', required: true } }
+      }, function(packet) {
+        let pattern = packet.args.pattern;
+
+        if ( !(pattern in this.subscriptions) ) { this.subscriptions[pattern] = []; }
+        if ( !this.subscriptions[pattern].includes(packet.sender) ) {
+          this.subscriptions[pattern].push(packet.sender);
+        }
+
+        this.return(packet);
+      })
+
+      .addApiCall('unsubscribe', {
+        description: 'Stop getting topics matching a pattern.',
+        args: { pattern: { type: 'string', required: true } }
+      }, function(packet) {
+        this._unsubscribe(packet.sender, packet.args.pattern);
+        this.return(packet);
+      })
+
+      .addApiCall('publish', {
+        description: 'Send a payload to every node subscribed to the topic.',
+        args: {
+          topic:   { type: 'string', required: true },
+          payload: { type: 'any' }
+        }
+      }, function(packet) {
+        if (packet.args.topic.includes('*')) {
+          this.returnError(packet, `Topic '${packet.args.topic}' can not have wildcards!`);
+          return;
+        }
+
+        packet.result = this.publish(packet.args.topic, packet.args.payload, packet.sender);
+        this.return(packet);
+      });
+  }
+
+  /**
+    * Built-in api call so nodes can add interceptors, see addInterceptor().
+    * The node runs them when SamCore sends it an 'intercept' event.
+    */
+  _addInterceptorCalls() {
+    this
+      .addApiCall('addInterceptor', {
+        description: 'Run code of the calling node before and after matching routed api calls.',
+        args: {
+          id:       { type: 'integer', required: true },
+          pattern:  { type: 'string', required: true },
+          priority: { type: 'integer', default: 0 },
+          stages:   { type: 'array', default: ['before', 'after'] }
         }
+      }, function(packet) {
+        let args = packet.args;
+
+        this._addInterceptor({
+          owner:    packet.sender,
+          id:       args.id,
+          pattern:  args.pattern,
+          priority: args.priority,
+          before:   args.stages.includes('before') ? true : null,
+          after:    args.stages.includes('after')  ? true : null
+        });
+
+        this.return(packet);
+      });
+  }
+
+  /**
+    * Send a payload to every node subscribed to a topic.  Each node gets it
+    * once, even if more than one of its patterns match.
+    *
+    * @param {string} topic
+    *  Topic to publish to, ie. 'gdrive.uploadFinished'
+    * @param {all} payload
+    *  Anything that can be sent as json
+    * @param {string} sender
+    *  Node publishing (default=this server)
+    * @returns {integer} number of nodes it was sent to
+    */
+  publish(topic, payload, sender=this.serverName) {
+    let names = [];
+    Object.keys(this.subscriptions).forEach(pattern => {
+      if (!Helpers.wildcard(pattern, topic)) { return; }
+      this.subscriptions[pattern].forEach(name => {
+        if (!names.includes(name)) { names.push(name); }
+      });
+    });
+
+    return this.push(names, 'publish', { topic: topic, payload: payload }, sender);
+  }
+
+  /**
+    * Push an event straight to nodes, outside of any api call.  Nodes that
+    * are not connected are skipped.
+    *
+    * @param {array} names
+    *  Nodes to send it to
+    * @param {string} event
+    *  Event the nodes listen on, ie. 'settingsChanged'
+    * @param {json} args
+    *  args of the packet
+    * @param {string} sender
+    *  Node sending it (default=this server)
+    * @returns {integer} number of nodes it was sent to
+    */
+  push(names, event, args={}, sender=this.serverName) {
+    let packet = Helpers.Packet.new({
+      sender:     sender,
+      apiCall:    event,
+      returnCode: false,
+      args:       args
+    });
+
+    return names.filter(name => name in this.sockets && this._emitTo(name, event, packet)).length;
+  }
+
+  _unsubscribe(name, pattern=null) {
+    Object.keys(this.subscriptions).forEach(p => {
+      if (pattern !== null && p !== pattern) { return; }
+
+      this.subscriptions[p] = this.subscriptions[p].filter(n => n !== name);
+      if (this.subscriptions[p].length === 0) { delete this.subscriptions[p]; }
+    });
+  }
+
+  /**
+    * ASYNC
+    *
+    * Wait for a node to reach a readiness state, see nodeState().
+    *
+    * @param {string} name
+    *  Name of the node
+    * @param {integer} timelimit
+    *  ms to wait before giving up (default=30000)
+    * @param {string} state
+    *  State to wait for (default='initializing', ie. sent nodeInit)
+    * @returns {bool} false if the node did not get there in time
+    */
+  async waitForNode(name, timelimit=(30*1000), state='initializing') {
+    let rank = Server.nodeStates.indexOf(state);
+    if (Server.nodeStates.indexOf(this.nodeState(name)) >= rank) { return true; }
+
+    let waiter = { name: name, state: state, resolve: null };
+    return await Helpers._promise(function(resolve, reject) {
+      waiter.resolve = resolve;
+      this.stateWaiters.push(waiter);
+    }.bind(this), timelimit, function() {
+      this.stateWaiters = this.stateWaiters.filter(w => w !== waiter);
+      return false;
+    }.bind(this));
+  }
+
+  /**
+    * Let every connected node know that the network is going down.  Nodes
+    * get until the deadline to finish what they are doing and exit.
+    *
+    * @param {integer} deadline
+    *  ms the nodes have to finish up
+    */
+  shutdown(deadline) {
+    this.shuttingDown = true;
+
+    this._broadcast('shutdown', Helpers.Packet.new({
+      sender:     this.serverName,
+      apiCall:    'shutdown',
+      returnCode: false,
+      args:       { deadline: deadline }
+    }));
+  }
+
+  /**
+    * Close the server.  Should be the last thing called on shutdown.
+    */
+  stop() {
+    this.servers.forEach(server => server.stop());
+  }
+
+  async _timeout(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+    * Add all of the built-in listeners to an ipc server.
+    *
+    * @param {object} server
+    *  A node-ipc server, local socket or tcp
+    */
+  _listen(server) {
+    server.on('*', function(message, packet, socket) {
+      if (message == 'connect') { return; }
+
+      if (message == `${this.serverName}.return`) {
+        this._returnFromNode(packet, socket).catch(error => this._routeFailed(packet, error));
+      }
+      // else if (message == `${this.serverName}.returnError`) {
+        // this.returnError(packet);
+      // }
+      else if (message == `${this.serverName}.send`) {
+        this.send(packet, socket).catch(error => this._routeFailed(packet, error));
+      }
+    }.bind(this));
+
+    /**
+      * This allows the server to collect sockets of the
+      * connected nodes in the network.  Nodes that fail to authenticate are
+      * answered on their socket and never added.
+      */
+    server.on(`${this.serverName}.nodeInit`, function(packet, socket) {
+      let check = this._authenticate(packet.args, socket);
+      if ('errorMessage' in check) {
+        Helpers.log({leader: 'warning', loud: true}, 'Rejected node:', check.errorMessage);
+
+        packet.status       = false;
+        packet.errorMessage = check.errorMessage;
+        packet.errorCode    = check.errorCode;
+        this._emitToSocket(socket, this._returnEvent(packet), packet);
+        return;
+      }
+
+      // this.sockets[packet.data.name] = socket;
+      this.sockets[packet.args.name] = socket;
+      this.nodeInfo[packet.args.name] = {
+        state:       'initializing',
+        apiCalls:    Array.isArray(packet.args.apiCalls) ? packet.args.apiCalls : [],
+        connectedAt: Date.now(),
+        acl:         check.acl,
+        trusted:     check.trusted
+      };
+
+      // packet.data = { status: true };
+      packet.result = { networkReady: this.greenLight };
+      this.return(packet);
+
+      this._setNodeState(packet.args.name, 'initializing');
+    }.bind(this));
+
+    /**
+      * This tells nodes in the network if it is ok to start broadcasting
+      * after initializing.  Nodes are now told with the 'networkReady'
+      * event instead, this is kept for older nodes that still poll.
+      */
+    server.on(`${this.serverName}.greenLight`, function(packet, socket) {
+      if (!this._authorize(packet, socket, this.serverName, 'greenLight')) return;
 
-        // no return required here
+      // packet.data = { status: true, result: this.greenLight };
+      packet.result = this.greenLight;
+      this.return(packet);
+    }.bind(this));
+
+    /**
+      * Packets are only routed to their receiver.  A node that wants to
+      * observe traffic between other nodes must opt in to each event here.
+      *
+      * packet.args = {
+      *   event: 'receiver.apiCall' or 'receiver.apiCall.return'
+      * }
+      */
+    server.on(`${this.serverName}.addHook`, function(packet, socket) {
+      if (!Helpers.Packet.checkArgs(this, ['event'], packet)) return;
+
+      // Observing a call needs the same permission as making it
+      let [receiver, apiCall] = String(packet.args.event).split('.');
+      if (!this._authorize(packet, socket, receiver, apiCall)) return;
+
+      let event = packet.args.event;
+      if ( !(event in this.hooks) ) { this.hooks[event] = []; }
+      if ( !this.hooks[event].includes(packet.sender) ) {
+        this.hooks[event].push(packet.sender);
+      }
+
+      this.return(packet);
+    }.bind(this));
+
+    /**
+      * Packets about an api call that has not returned yet.  They only go
+      * between the two nodes of the call, and only while it is pending.
+      *   - stream: chunks and acks, either way, see Client.callApiStream()
+      *   - progress: from the node handling the call to the caller
+      *   - cancel: from the caller to the node handling the call
+      */
+    [['stream', true, true], ['progress', false, true], ['cancel', true, false]].forEach(relay => {
+      let [event, fromSender, fromReceiver] = relay;
+
+      server.on(`${this.serverName}.${event}`, function(packet, socket) {
+        let request = this.pending[packet.returnCode];
+        if (request === undefined || this.sockets[packet.sender] !== socket) { return; }
+
+        request.seenAt = Date.now();
+
+        if (fromSender && packet.sender === request.sender) {
+          // A fan-out is cancelled on every instance, see _cancelPending()
+          if (request.node === null) {
+            if (event === 'cancel') { this._cancelPending(packet.returnCode, packet.args.reason); }
+            return;
+          }
+
+          this._emitTo(request.node, event, packet);
+
+          // The caller gave up, a late return has nobody to go to
+          if (event === 'cancel') { delete this.pending[packet.returnCode]; }
+        } else if (fromReceiver && packet.sender === request.node) {
+          this._emitTo(request.sender, event, packet);
+        }
       }.bind(this));
+    });
+
+    /**
+      * A node is done running one of its interceptors, see
+      * _runInterceptor().
+      */
+    server.on(`${this.serverName}.interceptDone`, function(packet, socket) {
+      let call = this.interceptCalls[packet.returnCode];
+      if (call === undefined || this.sockets[call.owner] !== socket) { return; }
+
+      // Checked by _runInterceptor()
+      call.resolve((typeof packet.args === 'object' && packet.args !== null) ? packet.args.packet : undefined);
+    }.bind(this));
+
+    /**
+      * Built-in for sending messages to other nodes.  Easy way
+      * to be able to debug connection issues.
+      */
+    server.on(`${this.serverName}.message`, function(packet, socket) {
+      if (!this._authorize(packet, socket, this.serverName, 'message')) return;
+
+      Helpers.log(
+        {leader: 'arrow', loud: true},
+        `Message from '${packet.sender}':`,
+        packet.args.message
+      );
+
+      // packet.data = true;
+      // this.return(packet);
+    }.bind(this));
+
+    /**
+      * Log records a node shipped to us, see Client.shipLogs().  They go to
+      * the log sinks of this server, under the name of the node that sent
+      * them.
+      */
+    server.on(`${this.serverName}.log`, function(packet, socket) {
+      if (!this._authorize(packet, socket, this.serverName, 'log')) return;
+      if ( !Array.isArray(packet.args.records) ) { return; }
+
+      packet.args.records.forEach(record => {
+        let level = Helpers.Log.levels.includes(record.level) ? record.level : 'info';
+        Helpers.Log.write({
+          time:    record.time || new Date().toISOString(),
+          node:    packet.sender,
+          level:   level,
+          message: String(record.message),
+          fields:  (typeof record.fields === 'object' && record.fields !== null) ? record.fields : {}
+        }, true);
+      });
+    }.bind(this));
+
+    /**
+      * Used to make sure we remove any sockets that no longer exists.
+      * When a socket disconnects, we find the socket and delete it.
+      */
+    server.on('socket.disconnected', function(socket, destroyedSocketID) {
+      Object.keys(this.sockets).forEach(name => {
+        if (this.sockets[name] !== socket) { return; }
 
+        delete this.sockets[name];
+        delete this.nodeInfo[name];
 
-      if ('onInit' in args) { (args.onInit.bind(this))(); }
+        // Anyone waiting on the node that left gets an error right away
+        Object.keys(this.pending).forEach(returnCode => {
+          let request = this.pending[returnCode];
+          // Gone already, cancelled along with its fan-out
+          if (request === undefined) { return; }
+          if (request.sender !== name && request.node !== name) { return; }
+
+          if (request.node === name) {
+            if (this._failOver(returnCode, 'disconnected')) { return; }
+
+            delete this.pending[returnCode];
+            this.returnError(
+              Helpers.Packet.new(request),
+              `Node '${name}' disconnected before returning!`
+            );
+          }
+          // Nobody is waiting on the answer anymore, unless this server
+          // made the call in the name of the node that left
+          else if ( !(returnCode in this.serverCalls) ) {
+            this._cancelPending(returnCode, `Node '${name}' disconnected!`);
+          }
+        });
+
+        // Stop routing hooked traffic to the node that left
+        Object.keys(this.hooks).forEach(event => {
+          this.hooks[event] = this.hooks[event].filter(n => n !== name);
+          if (this.hooks[event].length === 0) { delete this.hooks[event]; }
+        });
+
+        this._unsubscribe(name);
+
+        // Interceptors of the node that left are skipped from now on
+        this.interceptors = this.interceptors.filter(i => i.owner !== name);
+        Object.values(this.interceptCalls).forEach(call => {
+          if (call.owner !== name) { return; }
+          call.resolve({
+            status:       false,
+            errorMessage: `Interceptor node '${name}' disconnected!`,
+            errorCode:    'INTERCEPTOR_FAILED'
+          });
+        });
+      });
+
+      // no return required here
+    }.bind(this));
+  }
+
+  /**
+    * Main function to start the server up
+    */
+  async run(args) {
+    let first = true;
+
+    let onStart = function(server) {
+      this.servers.push(server);
+      this._listen(server);
+
+      if (first && 'onInit' in args) { (args.onInit.bind(this))(); }
 
       /**
         * Add in all custom API calls
         */
       for (let i=0; i<this.calls.length; i++) {
-        this.ipc.server.on(this.calls[i], this.callBacks[i]);
-      }
+        let apiCall  = this.calls[i].slice(this.serverName.length + 1);
+        let callBack = this.callBacks[i];
 
+        server.on(this.calls[i], function(packet, socket) {
+          if (!this._authorize(packet, socket, this.serverName, apiCall)) return;
+          return callBack(packet, socket);
+        }.bind(this));
+      }
 
       /**
         * Here is the main loop function for this server.  It uses the
         * onConnect callback if it exists.
         */
-      if ('onConnect' in args) { (args.onConnect.bind(this))(); }
-    }.bind(this));
+      if (first && 'onConnect' in args) { (args.onConnect.bind(this))(); }
+      first = false;
+    }.bind(this);
 
-    this.ipc.server.start();
+    if (this.transport.local) {
+      this.ipc.serve(function() { onStart(this.ipc.server); }.bind(this));
+      this.ipc.server.start();
+    }
+
+    if (this.netIpc !== null) {
+      let tcp = this.transport.tcp;
+      this.netIpc.serveNet(tcp.host, tcp.port, function() { onStart(this.netIpc.server); }.bind(this));
+      this.netIpc.server.start();
+
+      Helpers.log(
+        {leader: 'highlight', loud: true},
+        `Listening on ${this.transport.tls ? 'tls' : 'tcp'}://${tcp.host}:${tcp.port}`
+      );
+    }
   }
 }
 
@@ -233,4 +1729,15 @@ function main() {
 
 // main();  // uncomment to use example code
 
+// Readiness states of a node, in order, see nodeState()
+Server.nodeStates = ['connecting', 'initializing', 'ready'];
+
+// ms a routed call can go without any traffic before it is forgotten
+Server.pendingTimelimit = 10*60*1000;
+
+// Built-in api calls every node may make no matter what its acl says
+Server.openCalls = [
+  'nodeReady', 'waitForNode', 'greenLight', 'listNodes', 'describeNode', 'findApi', 'message', 'log'
+];
+
 module.exports = { Server };
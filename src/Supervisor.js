@@ -0,0 +1,333 @@
+const { Helpers } = require('./Helpers.js');
+const spawn       = require('child_process').spawn;
+
+/**
+  * Keeps track of all of the child nodes that SamCore starts up.  If a node
+  * crashes (exits with an error code or is killed by a signal) it is
+  * restarted with an exponential backoff.  A node that exits with code 0 is
+  * done and is left stopped.  One that exits with Supervisor.configExitCode,
+  * ie. because SamCore did not let it in, would fail the same way again and
+  * is marked as 'failed' right away.  If a node keeps
+  * crashing it is marked as 'failed' and left alone until someone starts it
+  * back up by hand.
+  *
+  * Node states:
+  *   - 'running':    process is up
+  *   - 'restarting': process crashed and is waiting to be started again
+  *   - 'stopped':    process was stopped on purpose, or exited cleanly
+  *   - 'failed':     process crashed too many times
+  */
+class Supervisor {
+  /**
+    * @param {json} args
+    *  - baseDelay: ms to wait before the first restart (default=1000)
+    *  - maxDelay: the backoff will never wait longer than this (default=60000)
+    *  - maxRestarts: crashes allowed inside of 'window' before the node is
+    *    marked as failed (default=5)
+    *  - window: ms to look back when counting crashes (default=60000)
+    *  - restartOnCleanExit: restart nodes that exit with code 0 too, like
+    *    a crash (default=false)
+    *  - command: function(name) returning [cmd, [args]] to spawn a node
+    *  - env: function(name) returning extra environment variables for a
+    *    node, ie. its credentials
+    * @returns this
+    */
+  constructor(args={}) {
+    this.baseDelay   = ('baseDelay'   in args) ? args.baseDelay   : 1000;
+    this.maxDelay    = ('maxDelay'    in args) ? args.maxDelay    : 60*1000;
+    this.maxRestarts = ('maxRestarts' in args) ? args.maxRestarts : 5;
+    this.window      = ('window'      in args) ? args.window      : 60*1000;
+    this.restartOnCleanExit = ('restartOnCleanExit' in args) ? args.restartOnCleanExit : false;
+    this.command     = ('command'     in args) ? args.command     :
+      (name => ['node', [`./${Helpers.serviceName(name)}/.`]]);
+    this.env         = ('env'         in args) ? args.env         : (name => ({}));
+
+    this.nodes = {};
+
+    return this;
+  }
+
+  /**
+    * Start up a node.  Does nothing if the node is already running.
+    *
+    * @param {string} name
+    *  Name of the node, its folder is the name of the service, see
+    *  Helpers.serviceName()
+    * @returns {json} status of the node
+    */
+  start(name) {
+    let node = this._getNode(name);
+
+    if (node.status === 'running') { return this.status(name); }
+
+    // Starting by hand gives a failed node a clean slate
+    clearTimeout(node.timer);
+    node.timer   = null;
+    node.crashes = [];
+
+    this._spawn(name);
+    return this.status(name);
+  }
+
+  /**
+    * Stop a node.  The node will not be restarted.
+    *
+    * @param {string} name
+    *  Name of the node
+    * @param {string} signal
+    *  Signal to send to the process (default='SIGTERM')
+    * @returns {json} status of the node
+    */
+  stop(name, signal='SIGTERM') {
+    let node = this._getNode(name);
+
+    clearTimeout(node.timer);
+    node.timer  = null;
+    node.status = 'stopped';
+
+    if (node.process !== null) { node.process.kill(signal); }
+
+    return this.status(name);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Stop a node and wait for its process to exit.  Used when the node's
+    * files are about to be replaced.
+    *
+    * @param {string} name
+    *  Name of the node
+    * @param {integer} timelimit
+    *  ms to wait before using SIGKILL (default=10000)
+    * @returns {json} status of the node
+    */
+  async stopAndWait(name, timelimit=10*1000) {
+    let node  = this._getNode(name);
+    let child = node.process;
+
+    if (child === null) { return this.stop(name); }
+
+    let exited = new Promise(resolve => { child.once('close', resolve); });
+    this.stop(name);
+
+    if ( !(await this._waitFor(exited, timelimit)) ) {
+      child.kill('SIGKILL');
+      await exited;
+    }
+
+    return this.status(name);
+  }
+
+  /**
+    * Stop and start a node back up.
+    *
+    * @param {string} name
+    *  Name of the node
+    * @returns {json} status of the node
+    */
+  restart(name) {
+    let node = this._getNode(name);
+
+    if (node.process === null) { return this.start(name); }
+
+    node.process.once('close', () => { this.start(name); });
+    return this.stop(name);
+  }
+
+  /**
+    * ASYNC
+    *
+    * Used when SamCore is shutting down.  No node will be restarted after
+    * this is called.  Nodes are given until the deadline to exit on their
+    * own, then they get a SIGTERM, then a SIGKILL after the grace period.
+    *
+    * @param {integer} deadline
+    *  ms to wait for nodes to exit on their own
+    * @param {integer} grace
+    *  ms to wait after SIGTERM before using SIGKILL (default=2000)
+    */
+  async shutdown(deadline, grace=2000) {
+    let running = [];
+
+    Object.keys(this.nodes).forEach(name => {
+      let node = this.nodes[name];
+
+      clearTimeout(node.timer);
+      node.timer  = null;
+      node.status = 'stopped';
+
+      if (node.process !== null) { running.push(node.process); }
+    });
+
+    let exited = running.map(child => new Promise(resolve => {
+      child.once('close', resolve);
+    }));
+    let allExited = Promise.all(exited);
+
+    if (await this._waitFor(allExited, deadline)) { return; }
+
+    running.forEach(child => {
+      if (child.exitCode === null && child.signalCode === null) { child.kill('SIGTERM'); }
+    });
+    if (await this._waitFor(allExited, grace)) { return; }
+
+    running.forEach(child => {
+      if (child.exitCode === null && child.signalCode === null) { child.kill('SIGKILL'); }
+    });
+    await allExited;
+  }
+
+  /**
+    * Names of the nodes being supervised for a service, the service itself
+    * and any of its instances.
+    *
+    * @param {string} service
+    *  Name of the service
+    * @returns {array}
+    */
+  namesOf(service) {
+    return Object.keys(this.nodes).filter(name => Helpers.serviceName(name) === service);
+  }
+
+  /**
+    * Get the status of one node or all of them.
+    *
+    * @param {string} name
+    *  Optional name of the node.  If left out, all nodes are returned.
+    * @returns {json}
+    */
+  status(name=null) {
+    if (name === null) {
+      let result = {};
+      Object.keys(this.nodes).forEach(n => { result[n] = this.status(n); });
+      return result;
+    }
+
+    if ( !(name in this.nodes) ) { return null; }
+
+    let node = this.nodes[name];
+    return {
+      name:          name,
+      status:        node.status,
+      pid:           node.process !== null ? node.process.pid : null,
+      restarts:      node.restarts,
+      recentCrashes: node.crashes.length,
+      lastExitCode:  node.lastExitCode,
+      startedAt:     node.startedAt
+    };
+  }
+
+  /**
+    * Resolves true if the promise finishes before ms, otherwise false.
+    */
+  async _waitFor(promise, ms) {
+    let timer;
+    let timeout = new Promise(resolve => { timer = setTimeout(resolve, ms, false); });
+
+    return await Promise.race([promise.then(() => true), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  _getNode(name) {
+    if ( !(name in this.nodes) ) {
+      this.nodes[name] = {
+        status:       'stopped',
+        process:      null,
+        timer:        null,
+        crashes:      [],
+        restarts:     0,
+        lastExitCode: null,
+        startedAt:    null
+      };
+    }
+    return this.nodes[name];
+  }
+
+  _spawn(name) {
+    let node        = this._getNode(name);
+    let [cmd, args] = this.command(name);
+    let child       = spawn(cmd, args, {
+      env: Object.assign({}, process.env, this.env(name))
+    });
+
+    node.process   = child;
+    node.status    = 'running';
+    node.startedAt = Date.now();
+
+    // Nodes ship their own log records, see Client.shipLogs().  Only
+    // stderr is recorded, crashes end up there.
+    child.stdout.on('data', function (data) {
+      Helpers.log({loud: true, record: false}, `${name}: ${data}`);
+    });
+    child.stderr.on('data', function (data) {
+      Helpers.log({loud: true, level: 'error', node: name, fields: { stream: 'stderr' }}, `${name} Error: ${data}`);
+    });
+    child.on('error', function (error) {
+      Helpers.log({leader: 'error', loud: true}, `${name} could not be started:`, error.message);
+    });
+    child.on('close', function (code, signal) {
+      Helpers.log({loud: true}, `${name} Closed: ${code !== null ? code : signal}`);
+      this._onClose(name, child, code, signal);
+    }.bind(this));
+
+    Helpers.log({leader: 'highlight', loud: true, spaceBottom: true}, `Started "${name}"`);
+  }
+
+  _onClose(name, child, code, signal=null) {
+    let node = this.nodes[name];
+
+    // An old process closing after a restart already happened
+    if (node.process !== child) { return; }
+
+    node.process      = null;
+    node.lastExitCode = code;
+
+    // Closed on purpose
+    if (node.status === 'stopped') { return; }
+
+    // Done, not crashed
+    if (code === 0 && signal === null && !this.restartOnCleanExit) {
+      node.status = 'stopped';
+      Helpers.log({leader: 'highlight', loud: true}, `"${name}" exited cleanly.`);
+      return;
+    }
+    if (code === Supervisor.configExitCode) {
+      node.status = 'failed';
+      Helpers.log({leader: 'error', loud: true}, `"${name}" can not run as it is set up, not restarting it.`);
+      return;
+    }
+
+    let now = Date.now();
+    node.crashes.push(now);
+    node.crashes = node.crashes.filter(time => now - time <= this.window);
+
+    if (node.crashes.length > this.maxRestarts) {
+      node.status = 'failed';
+      Helpers.log(
+        {leader: 'error', loud: true},
+        `"${name}" crashed ${node.crashes.length} times in ${this.window}ms, giving up.`
+      );
+      return;
+    }
+
+    let delay = Math.min(
+      this.baseDelay * Math.pow(2, node.crashes.length - 1),
+      this.maxDelay
+    );
+
+    node.status = 'restarting';
+    node.timer  = setTimeout(function() {
+      node.timer = null;
+      node.restarts++;
+      this._spawn(name);
+    }.bind(this), delay);
+
+    Helpers.log({leader: 'warning', loud: true}, `Restarting "${name}" in ${delay}ms.`);
+  }
+}
+
+// Exit code of a node that can not run as it is set up (EX_CONFIG)
+Supervisor.configExitCode = 78;
+
+module.exports = { Supervisor };
@@ -1,22 +1,38 @@
 const { EditJsonFile } = require('./EditJsonFile.js');
 const { Server }       = require('./Server.js');
 const { Helpers }      = require('./Helpers.js');
+const { Supervisor }   = require('./Supervisor.js');
+const { PackageManager } = require('./PackageManager.js');
+const { JobQueue }     = require('./JobQueue.js');
+const { Migrations }   = require('./Migrations.js');
+const { NodeSettings } = require('./NodeSettings.js');
+const { Secrets }      = require('./Secrets.js');
 const Files            = Helpers.Files;
 const Packet           = Helpers.Packet;
-const spawn            = require('child_process').spawn;
 
 let serverName = 'samcore';
-let nodes      = {};  // List of child fork nodes
 
 /**
  * SamCore will be doing all of the editing and manipulation
  * of the json settings file.  So we can have it set up to
- * autosave.  No need to refresh the file.
+ * autosave.  No need to refresh the file.  Changes made close together,
+ * ie. many nodes calling setSettings at once, are saved in one write.
  *
  * Also, if the file doesnt exist, lets create one
  */
 const filePath = Files.join('cwd', 'SamCoreSettings.json');
-let db = new EditJsonFile(filePath, { autosave: true });
+let db = new EditJsonFile(filePath, { autosave: true, autosave_delay: 100 });
+
+/**
+ * Upgrade the file if it was written by an older SamCore, see
+ * Migrations.js.  SamCore can not run on a layout it does not know.
+ */
+let migrated = new Migrations(db).run();
+if (!migrated.status) {
+  Helpers.log({leader: 'error', loud: true}, migrated.errorMessage);
+  process.exit(1);
+}
+
 if ( db.get(['packages', serverName]) === undefined ) {
   db.set(['packages', serverName], Helpers.defaultPackage({
     version:    '1.0.0', // try and pull this from package file
@@ -32,13 +48,167 @@ let settings = db.get(['packages', serverName, 'settings']);
 function setSettings() {
   db.set(['packages', serverName, 'settings'], settings);
 }
-if (settings === 'undefined') {
+if (settings === undefined) {
   settings = {};
   setSettings();
 }
 
-// Create server and run
-let SamCore = new Server(serverName);
+/**
+ * Log records of samcore and of every node, one file per node in 'logs'.
+ * The folder, level and rotation can be changed in the 'logs' block of
+ * samcore's settings, see Helpers.Log.toFiles().
+ */
+let logSettings = (settings && settings.logs) || {};
+if ('level' in logSettings) { Helpers.Log.level = logSettings.level; }
+Helpers.Log.node = serverName;
+Helpers.Log.toFiles(Files.join('cwd', logSettings.dir || 'logs'), logSettings);
+
+/**
+ * Every node needs credentials to join the network, see Helpers.Auth.
+ * Packages that do not have any yet get a secret.
+ */
+db.batch(db => {
+  Object.keys(db.get('packages')).forEach(name => {
+    if (name !== serverName && db.get(['packages', name, 'auth']) === undefined) {
+      db.set(['packages', name, 'auth'], { secret: Helpers.Auth.newSecret() });
+    }
+  });
+});
+
+/**
+ * Starts, stops and restarts all of the child nodes.  Backoff and restart
+ * limits can be changed in the 'supervisor' block of samcore's settings.
+ * Nodes get their secret in the SAM_SECRET environment variable, and
+ * instances of a node their instance name in SAM_INSTANCE.
+ */
+let nodes = new Supervisor(Object.assign({}, (settings && settings.supervisor) || {}, {
+  env: function(name) {
+    let service = Helpers.serviceName(name);
+    let auth    = db.get(['packages', service, 'auth']) || {};
+    let env     = auth.secret ? { SAM_SECRET: auth.secret } : {};
+
+    if (name !== service) { env.SAM_INSTANCE = name.slice(service.length + 1); }
+    return env;
+  }
+}));
+
+/**
+ * Installs, updates, uninstalls and rolls back nodes.
+ */
+let packageManager = new PackageManager(db, { supervisor: nodes });
+
+/**
+ * Names to start for a package, one per instance if it has any, see
+ * Helpers.defaultPackage().
+ */
+function instancesOf(name) {
+  let instances = db.get(['packages', name, 'instances']);
+  if (!instances || !instances.names || instances.names.length === 0) { return [name]; }
+  return instances.names.map(instance => `${name}@${instance}`);
+}
+
+/**
+ * Only packages that are in the settings file and enabled can be started.
+ */
+function canStart(name) {
+  let service = Helpers.serviceName(name);
+  let pkg     = db.get(['packages', service]);
+  if (SamCore.shuttingDown) { return 'SamCore is shutting down!'; }
+  if (name === serverName)  { return `Node '${name}' can not be managed!`; }
+  if (pkg === undefined)    { return `Node '${name}' is not a known package!`; }
+  if (!pkg.enabled)         { return `Node '${name}' is not enabled!`; }
+  if (name !== service && !instancesOf(service).includes(name)) {
+    return `Node '${name}' is not an instance of '${service}'!`;
+  }
+
+  let missing = Object.keys(pkg.dependencies || {}).filter(dep => SamCore.nodeState(dep) === 'connecting');
+  if (missing.length > 0) {
+    return `Node '${name}' needs '${missing.join("', '")}' to be running first!`;
+  }
+
+  return true;
+}
+
+/**
+ * Change the settings of the node that sent the packet and return it.  A
+ * revision that does not match returns the 'CONFLICT' errorCode.
+ */
+function changeSettings(server, packet, path, value) {
+  let revision = ('revision' in packet.args) ? packet.args.revision : null;
+  let mini     = nodeSettings.change(Helpers.serviceName(packet.sender), path, value, revision);
+
+  if (!mini.status && mini.result !== null) { packet.errorCode = 'CONFLICT'; }
+  Packet.mergeMini(packet, mini);
+  server.return(packet);
+}
+
+/**
+ * Create server and run.  Nodes on other machines can connect over tcp if a
+ * 'transport' block is in samcore's settings, ie.
+ *   "transport": { "local": true, "tcp": { "host": "0.0.0.0", "port": 8900 } }
+ */
+let SamCore;
+try {
+  SamCore = new Server(serverName, true, (settings && settings.transport) || {});
+} catch (error) {
+  Helpers.log({leader: 'error', loud: true}, 'Could not start SamCore:', error.message);
+  process.exit(1);
+}
+
+/**
+ * Api calls queued by nodes, kept in their own file so they survive a
+ * restart.  Retries can be changed in the 'jobs' block of samcore's
+ * settings.
+ */
+Files.mkdir(Files.join('cwd', '.samcore'));
+let jobsDb = new EditJsonFile(Files.join('cwd', '.samcore', 'jobs.json'), {
+  autosave:        true,
+  autosave_delay:  100,
+  defaultContents: '{}'
+});
+let jobs = new JobQueue(jobsDb, SamCore, (settings && settings.jobs) || {});
+
+/**
+ * Settings of the nodes, changes are pushed to them as 'settingsChanged'
+ */
+let nodeSettings = new NodeSettings(db, SamCore);
+
+/**
+ * Credentials of the nodes, encrypted in their own file.  The master key is
+ * taken out of the environment so the nodes SamCore starts never get it.
+ */
+let secretsDb = new EditJsonFile(Files.join('cwd', '.samcore', 'secrets.json'), {
+  autosave:        true,
+  defaultContents: '{}'
+});
+let secrets = new Secrets(secretsDb);
+delete process.env.SAM_SECRETS_KEY;
+{
+  let opened = secrets.open();
+  if (!opened.status) { Helpers.log({leader: 'error', loud: true}, opened.errorMessage); }
+}
+
+/**
+ * Only packages in the settings file can join, and only with their
+ * credentials.  Each package's 'acl' limits which api calls it can make.
+ * Can be turned off with "requireAuth": false in samcore's settings.
+ */
+if ( !(settings && settings.requireAuth === false) ) {
+  SamCore.useAuth(function(name) {
+    let pkg = db.get(['packages', name]);
+    if (pkg === undefined) { return null; }
+
+    return { auth: pkg.auth, acl: ('acl' in pkg) ? pkg.acl : null, trusted: pkg.mandatory === true };
+  });
+}
+
+/**
+ * Calls to a package that runs as several instances are routed by the
+ * 'instances' policy of the package.
+ */
+SamCore.useRouting(function(name) {
+  return db.get(['packages', name, 'instances']) || null;
+});
 
 SamCore
   /**
@@ -48,7 +218,9 @@ SamCore
     *   text: 'any text to come after hello world'
     * }
     */
-  .addApiCall('helloWorld', function(packet) {
+  .addApiCall('helloWorld', {
+    description: 'Used for debugging, returns hello world with your text.'
+  }, function(packet) {
     // if ( !('text' in packet.data) ) {
     //   this.returnError(packet, 'text argument not included!');
     //   return;
@@ -72,7 +244,9 @@ SamCore
     *   name: 'name of node to check on'
     * }
     */
-  .addApiCall('doesNodeExist', function(packet) {
+  .addApiCall('doesNodeExist', {
+    description: 'See if a node is connected to the network.'
+  }, function(packet) {
     // if ( !('name' in packet.data) ) {
     //   this.returnError(packet, 'name argument not included!');
     //   return;
@@ -111,7 +285,9 @@ SamCore
     *
     * packet.args = {}
     */
-  .addApiCall('getUsername', function(packet) {
+  .addApiCall('getUsername', {
+    description: 'Get the current username.'
+  }, function(packet) {
     // if ('username' in settings) {
     //   packet.data = {
     //     result: settings.username
@@ -137,7 +313,10 @@ SamCore
     *   name: 'new username'
     * }
     */
-  .addApiCall('setUsername', async function(packet) {
+  .addApiCall('setUsername', {
+    description: 'Set the current username.',
+    privileged: true
+  }, async function(packet) {
     // if ( !('name' in packet.data) ) {
     //   this.returnError(packet, 'name argument not included!');
     //   return;
@@ -159,8 +338,10 @@ SamCore
     *
     * packet.args = {}
     */
-  .addApiCall('getSettings', function(packet) {
-    let nodeSettings = db.get(['packages', packet.sender, 'settings']);
+  .addApiCall('getSettings', {
+    description: 'Get the settings of the calling node.'
+  }, function(packet) {
+    let nodeSettings = db.get(['packages', Helpers.serviceName(packet.sender), 'settings']);
 
     // if (settings !== undefined) {
     //   packet.data = {
@@ -183,10 +364,13 @@ SamCore
     * Set settings for current node
     *
     * packet.data = {
-    *   settings: { settings object }
+    *   settings: { settings object },
+    *   revision: 'optional, only replace them if they are at this revision'
     * }
     */
-  .addApiCall('setSettings', function(packet) {
+  .addApiCall('setSettings', {
+    description: 'Replace the settings of the calling node.'
+  }, function(packet) {
     // if ( !('settings' in packet.data) ) {
     //   this.returnError(packet, 'settings argument not included!');
     //   return;
@@ -195,9 +379,8 @@ SamCore
     // Check if proper arguments are in the packet
     if (!Packet.checkArgs(this, ['settings'], packet)) return;
 
-    if ( db.get(['packages', packet.sender]) !== undefined ) {
-      db.set(['packages', packet.sender, 'settings'], packet.args.settings);
-    } else {
+    let service = Helpers.serviceName(packet.sender);
+    if ( db.get(['packages', service]) === undefined ) {
       this.returnError(
         packet,
         'There is an issue with the SamCoreSettings.json file!'
@@ -205,6 +388,527 @@ SamCore
       return;
     }
 
+    changeSettings(this, packet, null, packet.args.settings);
+  })
+
+  /**
+    * Get one setting, of the calling node or of 'node' if the acl of the
+    * caller has an entry for its 'getSetting', see Server.aclAllows().
+    *
+    * packet.args = {
+    *   path: 'optional, dot separated, ie. upload.folder.  All settings if left out',
+    *   node: 'optional, node whose settings to read'
+    * }
+    */
+  .addApiCall('getSetting', {
+    description: 'Get a setting by its path, with the revision of the settings.',
+    args: {
+      path: { type: 'string', default: null },
+      node: { type: 'string', default: null }
+    }
+  }, function(packet) {
+    let name = Helpers.serviceName(packet.args.node || packet.sender);
+
+    if (name !== Helpers.serviceName(packet.sender) && !this.aclAllows(packet.sender, name, 'getSetting')) {
+      packet.errorCode = 'FORBIDDEN';
+      this.returnError(packet, `Node '${packet.sender}' is not allowed to read the settings of '${name}'!`);
+      return;
+    }
+
+    Packet.mergeMini(packet, nodeSettings.get(name, packet.args.path));
+    this.return(packet);
+  })
+
+  /**
+    * Set one setting of the calling node.  With a revision, it is only set
+    * if no one changed the settings since that revision was read, otherwise
+    * the errorCode is 'CONFLICT' and the result has the current revision.
+    *
+    * packet.args = {
+    *   path:     'dot separated, ie. upload.folder',
+    *   value:    'anything that can be sent as json',
+    *   revision: 'optional'
+    * }
+    */
+  .addApiCall('setSetting', {
+    description: 'Set a setting of the calling node by its path.',
+    args: {
+      path:     { type: 'string', required: true },
+      value:    { type: 'any', required: true },
+      revision: { type: 'integer', default: null }
+    }
+  }, function(packet) {
+    changeSettings(this, packet, packet.args.path, packet.args.value);
+  })
+
+  /**
+    * Remove one setting of the calling node, see setSetting.
+    *
+    * packet.args = {
+    *   path:     'dot separated, ie. upload.folder',
+    *   revision: 'optional'
+    * }
+    */
+  .addApiCall('deleteSetting', {
+    description: 'Remove a setting of the calling node by its path.',
+    args: {
+      path:     { type: 'string', required: true },
+      revision: { type: 'integer', default: null }
+    }
+  }, function(packet) {
+    changeSettings(this, packet, packet.args.path, undefined);
+  })
+
+  /**
+    * Get a 'settingsChanged' event whenever the settings of 'node' change.
+    * The acl of the caller must have an entry for the node's
+    * 'settingsChanged'.  A node always gets the changes of its own settings.
+    *
+    * packet.args = {
+    *   node: 'node whose settings to watch'
+    * }
+    */
+  .addApiCall('watchSettings', {
+    description: 'Get pushed the changes to the settings of a node.',
+    args: {
+      node: { type: 'string', required: true }
+    }
+  }, function(packet) {
+    let name = Helpers.serviceName(packet.args.node);
+
+    if (name !== Helpers.serviceName(packet.sender) && !this.aclAllows(packet.sender, name, 'settingsChanged')) {
+      packet.errorCode = 'FORBIDDEN';
+      this.returnError(packet, `Node '${packet.sender}' is not allowed to watch the settings of '${name}'!`);
+      return;
+    }
+
+    Packet.mergeMini(packet, nodeSettings.watch(packet.sender, name));
+    this.return(packet);
+  })
+
+  .addApiCall('unwatchSettings', {
+    description: 'Stop getting the changes to the settings of a node.',
+    args: {
+      node: { type: 'string', required: true }
+    }
+  }, function(packet) {
+    Packet.mergeMini(packet, nodeSettings.unwatch(packet.sender, Helpers.serviceName(packet.args.node)));
+    this.return(packet);
+  })
+
+  /**
+    * What the calling node needs to upgrade its settings, see
+    * Client.addMigration().  'from' is the version the settings are for,
+    * 'to' the version that is installed.
+    *
+    * packet.args = {}
+    */
+  .addApiCall('getSettingsMigration', {
+    description: 'Get the settings of the calling node with the versions to upgrade them between.'
+  }, function(packet) {
+    let pkg = db.get(['packages', Helpers.serviceName(packet.sender)]);
+    if (pkg === undefined) {
+      this.returnError(packet, `Node '${packet.sender}' is not a known package!`);
+      return;
+    }
+
+    packet.result = {
+      settings: pkg.settings || {},
+      from:     pkg.settingsVersion || pkg.version,
+      to:       pkg.version
+    };
+    this.return(packet);
+  })
+
+  /**
+    * Store the upgraded settings of the calling node.  Instances of a node
+    * can race each other, only the first one to finish is stored.
+    *
+    * packet.args = {
+    *   settings: { upgraded settings },
+    *   from: version the settings were upgraded from,
+    *   to: version the settings were upgraded to
+    * }
+    */
+  .addApiCall('migrateSettings', {
+    description: 'Store the upgraded settings of the calling node.',
+    args: {
+      settings: { type: 'object', required: true },
+      from:     { type: 'string', required: true },
+      to:       { type: 'string', required: true }
+    }
+  }, function(packet) {
+    let name    = Helpers.serviceName(packet.sender);
+    let pkg     = db.get(['packages', name]);
+    let current = pkg ? (pkg.settingsVersion || pkg.version) : undefined;
+
+    if (current === packet.args.to) {
+      packet.result = false; // already done
+      this.return(packet);
+      return;
+    }
+    if (current !== packet.args.from) {
+      packet.errorCode = 'CONFLICT';
+      this.returnError(packet, `Settings of '${name}' are for ${current}, not ${packet.args.from}!`);
+      return;
+    }
+
+    db.batch(db => {
+      nodeSettings.change(name, null, packet.args.settings);
+      db.set(['packages', name, 'settingsVersion'], packet.args.to);
+    });
+
+    Helpers.log({leader: 'highlight', loud: true}, `Upgraded the settings of '${name}' ${packet.args.from} -> ${packet.args.to}`);
+    packet.result = true;
+    this.return(packet);
+  })
+
+  /**
+    * Get a secret of the calling node, see Secrets.  Secrets can only be
+    * used by the node they belong to, over the socket it joined on.
+    *
+    * packet.args = {
+    *   name: 'name of the secret, ie. driveToken'
+    * }
+    */
+  .addApiCall('getSecret', {
+    description: 'Get a secret of the calling node.',
+    redact: true,
+    args: {
+      name: { type: 'string', required: true }
+    }
+  }, function(packet, socket) {
+    if (!this.checkSender(packet, socket)) return;
+    let node = Helpers.serviceName(packet.sender);
+
+    Packet.mergeMini(packet, secrets.get(node, packet.args.name));
+    this.return(packet);
+  })
+
+  /**
+    * Store a secret of the calling node, encrypted.
+    *
+    * packet.args = {
+    *   name:  'name of the secret, ie. driveToken',
+    *   value: 'anything that can be sent as json'
+    * }
+    */
+  .addApiCall('setSecret', {
+    description: 'Store a secret of the calling node.',
+    redact: true,
+    args: {
+      name:  { type: 'string', required: true },
+      value: { type: 'any', required: true }
+    }
+  }, function(packet, socket) {
+    if (!this.checkSender(packet, socket)) return;
+    let node = Helpers.serviceName(packet.sender);
+
+    Packet.mergeMini(packet, secrets.set(node, packet.args.name, packet.args.value));
+    this.return(packet);
+  })
+
+  .addApiCall('deleteSecret', {
+    description: 'Remove a secret of the calling node.',
+    args: {
+      name: { type: 'string', required: true }
+    }
+  }, function(packet, socket) {
+    if (!this.checkSender(packet, socket)) return;
+    let node = Helpers.serviceName(packet.sender);
+
+    Packet.mergeMini(packet, secrets.delete(node, packet.args.name));
+    this.return(packet);
+  })
+
+  .addApiCall('listSecrets', {
+    description: 'List the names of the secrets of the calling node.'
+  }, function(packet, socket) {
+    if (!this.checkSender(packet, socket)) return;
+    let node = Helpers.serviceName(packet.sender);
+
+    Packet.mergeMini(packet, secrets.list(node));
+    this.return(packet);
+  })
+
+  /**
+    * Get the supervisor status of a node, or every node if no name is given.
+    *
+    * packet.args = {
+    *   name: 'optional name of node'
+    * }
+    */
+  .addApiCall('getNodeStatus', {
+    description: 'Get the supervisor status of a node, or of every node.',
+    args: { name: { type: 'string' } }
+  }, function(packet) {
+    if ('name' in packet.args) {
+      let status = nodes.status(packet.args.name);
+      if (status === null) {
+        this.returnError(packet, `Node '${packet.args.name}' is not supervised!`);
+        return;
+      }
+      packet.result = status;
+    } else {
+      packet.result = nodes.status();
+    }
+
+    this.return(packet);
+  })
+
+  /**
+    * Start a node.  This also resets a node that was marked as failed.
+    *
+    * packet.args = {
+    *   name: 'name of node to start'
+    * }
+    */
+  .addApiCall('startNode', {
+    description: 'Start a node, this also resets a failed node.',
+    privileged: true,
+    args: { name: { type: 'string', required: true } }
+  }, function(packet) {
+    let check = canStart(packet.args.name);
+    if (check !== true) { this.returnError(packet, check); return; }
+
+    packet.result = nodes.start(packet.args.name);
+    this.return(packet);
+  })
+
+  /**
+    * Stop a node.  It will not be restarted until 'startNode' is called.
+    *
+    * packet.args = {
+    *   name: 'name of node to stop'
+    * }
+    */
+  .addApiCall('stopNode', {
+    description: 'Stop a node, it will not be restarted.',
+    privileged: true,
+    args: { name: { type: 'string', required: true } }
+  }, function(packet) {
+    if (nodes.status(packet.args.name) === null) {
+      this.returnError(packet, `Node '${packet.args.name}' is not supervised!`);
+      return;
+    }
+
+    packet.result = nodes.stop(packet.args.name);
+    this.return(packet);
+  })
+
+  /**
+    * Stop and start a node back up.
+    *
+    * packet.args = {
+    *   name: 'name of node to restart'
+    * }
+    */
+  .addApiCall('restartNode', {
+    description: 'Stop and start a node back up.',
+    privileged: true,
+    args: { name: { type: 'string', required: true } }
+  }, function(packet) {
+    let check = canStart(packet.args.name);
+    if (check !== true) { this.returnError(packet, check); return; }
+
+    packet.result = nodes.restart(packet.args.name);
+    this.return(packet);
+  })
+
+  /**
+    * List all packages and their versions.
+    *
+    * packet.args = {}
+    */
+  .addApiCall('listPackages', {
+    description: 'List all packages and their versions.'
+  }, function(packet) {
+    Packet.mergeMini(packet, packageManager.list());
+    this.return(packet);
+  })
+
+  /**
+    * Install a node from a tarball or folder on this machine.
+    *
+    * packet.args = {
+    *   source: 'path to tarball or folder',
+    *   name:   'optional name to install as'
+    * }
+    */
+  .addApiCall('installPackage', {
+    description: 'Install a node from a tarball or folder on this machine.',
+    privileged: true,
+    args: {
+      source: { type: 'string', required: true },
+      name:   { type: 'string' }
+    }
+  }, async function(packet) {
+    Packet.mergeMini(packet, await packageManager.install(packet.args.source, packet.args));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Update an installed node.  The current version is kept for rollback.
+    *
+    * packet.args = {
+    *   source: 'path to tarball or folder',
+    *   name:   'optional name of package to update',
+    *   force:  'optional, allow a version that is not newer'
+    * }
+    */
+  .addApiCall('updatePackage', {
+    description: 'Update a node, the current version is kept for rollback.',
+    privileged: true,
+    args: {
+      source: { type: 'string', required: true },
+      name:   { type: 'string' },
+      force:  { type: 'boolean', default: false }
+    }
+  }, async function(packet) {
+    Packet.mergeMini(packet, await packageManager.update(packet.args.source, packet.args));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Roll a node back to its previous version.
+    *
+    * packet.args = {
+    *   name: 'name of package'
+    * }
+    */
+  .addApiCall('rollbackPackage', {
+    description: 'Roll a node back to its previous version.',
+    privileged: true,
+    args: { name: { type: 'string', required: true } }
+  }, async function(packet) {
+    Packet.mergeMini(packet, await packageManager.rollback(packet.args.name));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Uninstall a node.  Mandatory packages can not be uninstalled.
+    *
+    * packet.args = {
+    *   name: 'name of package'
+    * }
+    */
+  .addApiCall('uninstallPackage', {
+    description: 'Uninstall a node.',
+    privileged: true,
+    args: { name: { type: 'string', required: true } }
+  }, async function(packet) {
+    Packet.mergeMini(packet, await packageManager.uninstall(packet.args.name));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Queue an api call to be made in the name of the caller.  It is made
+    * once the receiving node is ready, and retried if it returns an error.
+    *
+    * packet.args = {
+    *   receiver:    'node to call',
+    *   apiCall:     'api call to make',
+    *   args:        { args for the api call },
+    *   maxAttempts: 'optional, attempts before giving up',
+    *   timelimit:   'optional, ms each attempt can take'
+    * }
+    */
+  .addApiCall('enqueueJob', {
+    description: 'Queue an api call, it is made once the node is ready and retried on errors.',
+    args: {
+      receiver:    { type: 'string', required: true },
+      apiCall:     { type: 'string', required: true },
+      args:        { type: 'object', default: {} },
+      maxAttempts: { type: 'integer' },
+      timelimit:   { type: 'integer' }
+    }
+  }, function(packet) {
+    let args = packet.args;
+
+    if (args.receiver === serverName) {
+      this.returnError(packet, `Jobs can not be queued for '${serverName}'!`);
+      return;
+    }
+    if (!this.canCall(packet.sender, args.receiver, args.apiCall)) {
+      packet.errorCode = 'FORBIDDEN';
+      this.returnError(packet, `Node '${packet.sender}' is not allowed to call '${args.receiver}.${args.apiCall}'!`);
+      return;
+    }
+
+    Packet.mergeMini(packet, jobs.enqueue(packet.sender, args));
+    this.return(packet);
+  })
+
+  /**
+    * List the jobs queued by the calling node's package, oldest first.
+    *
+    * packet.args = {
+    *   status:   'optional, queued, running, done, failed or cancelled',
+    *   sender:   'optional, only jobs queued by this node',
+    *   receiver: 'optional, only jobs for this node'
+    * }
+    */
+  .addApiCall('listJobs', {
+    description: 'List the jobs of the calling node, oldest first.',
+    args: {
+      status:   { type: 'string', enum: ['queued', 'running', 'done', 'failed', 'cancelled'] },
+      sender:   { type: 'string' },
+      receiver: { type: 'string' }
+    }
+  }, function(packet) {
+    Packet.mergeMini(packet, jobs.list(packet.args, Helpers.serviceName(packet.sender)));
+    this.return(packet);
+  })
+
+  /**
+    * Get a job.
+    *
+    * packet.args = {
+    *   id: 'id of the job'
+    * }
+    */
+  .addApiCall('getJob', {
+    description: 'Get a job.',
+    args: { id: { type: 'string', required: true } }
+  }, function(packet) {
+    Packet.mergeMini(packet, jobs.get(packet.args.id, Helpers.serviceName(packet.sender)));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Queue a failed or cancelled job again.
+    *
+    * packet.args = {
+    *   id: 'id of the job'
+    * }
+    */
+  .addApiCall('retryJob', {
+    description: 'Queue a failed or cancelled job again.',
+    args: { id: { type: 'string', required: true } }
+  }, function(packet) {
+    Packet.mergeMini(packet, jobs.retry(packet.args.id, Helpers.serviceName(packet.sender)));
+    if (!packet.status) { this.returnError(packet); return; }
+    this.return(packet);
+  })
+
+  /**
+    * Cancel a job that has not run yet.
+    *
+    * packet.args = {
+    *   id: 'id of the job'
+    * }
+    */
+  .addApiCall('cancelJob', {
+    description: 'Cancel a job that has not run yet.',
+    args: { id: { type: 'string', required: true } }
+  }, function(packet) {
+    Packet.mergeMini(packet, jobs.cancel(packet.args.id, Helpers.serviceName(packet.sender)));
+    if (!packet.status) { this.returnError(packet); return; }
     this.return(packet);
   })
 
@@ -213,32 +917,79 @@ SamCore
     onConnect: onConnect
   });
 
+/**
+ * Coordinated shutdown.  Every node is told to finish up, anything still
+ * running after the deadline is terminated, then the settings file is
+ * flushed and we exit.  The deadline can be changed with 'shutdownDeadline'
+ * in samcore's settings.
+ */
+async function shutdown(signal) {
+  if (SamCore.shuttingDown) { return; }
+
+  let deadline = (settings && settings.shutdownDeadline) || 10*1000;
+  Helpers.log({leader: 'highlight', loud: true}, `${signal} received, shutting down..`);
+
+  SamCore.shutdown(deadline);
+  jobs.stop();
+  await nodes.shutdown(deadline);
+
+  await Promise.all([db.flush(), jobsDb.flush(), secretsDb.flush()]);
+  SamCore.stop();
+
+  Helpers.log({leader: 'highlight', loud: true}, 'Goodbye!');
+  process.exit(0);
+}
+['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => {
+  process.on(signal, () => shutdown(signal));
+});
+
 async function onInit() {}
 
 async function onConnect() {
 
   // Need to start up all of the other nodes as well
   let packages = db.get('packages');
+  let names    = Object.keys(packages).filter(name => {
+    return packages[name].enabled && packages[name].persistent && name !== serverName;
+  });
 
-  Object.keys(packages).forEach(name => {
-    if (packages[name].enabled && packages[name].persistent && name !== serverName) {
-      // spawn process
-      nodes[name] = spawn('node', [`./${name}/.`])
+  /**
+   * Nodes are started in dependency order.  A node is only started once all
+   * of its dependencies have connected and sent nodeInit.
+   */
+  let { order, skipped } = packageManager.startOrder(names, [serverName]).result;
+  Object.keys(skipped).forEach(name => {
+    Helpers.log({leader: 'error', loud: true}, `Not starting "${name}":`, skipped[name]);
+  });
 
-      nodes[name].stdout.on('data', function (data) {  
-        Helpers.log({loud: true}, `${name}: ${data}`);
-      });  
-      nodes[name].stderr.on('data', function (data) {  
-        Helpers.log({loud: true}, `${name} Error: ${data}`);
-      });  
-      nodes[name].on('close', function (code) {  
-        Helpers.log({loud: true}, `${name} Closed: ${code}`);
-      });
+  let timelimit = (settings && settings.startTimeout) || 30*1000;
+  let started   = {};
 
-      Helpers.log({leader: 'highlight', loud: true, spaceBottom: true}, `Started "${name}"`);
-    }
+  order.forEach(name => {
+    let dependencies = Object.keys(packages[name].dependencies || {})
+      .filter(dep => dep !== serverName);
+
+    started[name] = (async () => {
+      let ready = await Promise.all(dependencies.map(dep => started[dep]));
+      if (ready.includes(false)) {
+        Helpers.log({leader: 'error', loud: true}, `Not starting "${name}", a dependency did not start.`);
+        return false;
+      }
+
+      instancesOf(name).forEach(node => nodes.start(node));
+
+      if ( !(await this.waitForNode(name, timelimit)) ) {
+        Helpers.log({leader: 'error', loud: true}, `"${name}" did not connect within ${timelimit}ms.`);
+        return false;
+      }
+      return true;
+    })();
   });
 
+  await Promise.all(Object.values(started));
+
   this.greenLight = true; // This allows the other nodes to start running
+
+  jobs.start();
 }
 
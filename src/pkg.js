@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+const { EditJsonFile }   = require('./EditJsonFile.js');
+const { PackageManager } = require('./PackageManager.js');
+const { Migrations }     = require('./Migrations.js');
+const { Helpers }        = require('./Helpers.js');
+const Files              = Helpers.Files;
+
+/**
+  * Command line package manager.  Meant to be used while SamCore is NOT
+  * running, ie. to roll back a broken node before starting SamCore up.  Run
+  * it from the folder that holds SamCoreSettings.json.
+  *
+  *   $ node samcore/src/pkg.js list
+  *   $ node samcore/src/pkg.js install  <tarball|folder> [--name <name>]
+  *   $ node samcore/src/pkg.js update   <tarball|folder> [--name <name>] [--force]
+  *   $ node samcore/src/pkg.js rollback <name>
+  *   $ node samcore/src/pkg.js uninstall <name>
+  */
+const usage = `Usage:
+  pkg.js list
+  pkg.js install   <tarball|folder> [--name <name>]
+  pkg.js update    <tarball|folder> [--name <name>] [--force]
+  pkg.js rollback  <name>
+  pkg.js uninstall <name>`;
+
+function parseArgs(argv) {
+  let args = {};
+
+  for (let i=0; i<argv.length; i++) {
+    if      (argv[i] === '--force') { args.force = true; }
+    else if (argv[i] === '--name')  { args.name = argv[++i]; }
+  }
+
+  return args;
+}
+
+async function main() {
+  let [command, target] = process.argv.slice(2, 4);
+  let args              = parseArgs(process.argv.slice(4));
+
+  const filePath = Files.join('cwd', 'SamCoreSettings.json');
+  if (!Files.exists(filePath)) {
+    Helpers.log({leader: 'error', loud: true}, `Could not find '${filePath}'!`);
+    process.exit(1);
+  }
+
+  let db             = new EditJsonFile(filePath, { autosave: true });
+  let migrated       = new Migrations(db).run();
+  if (!migrated.status) {
+    Helpers.log({leader: 'error', loud: true}, migrated.errorMessage);
+    process.exit(1);
+  }
+
+  let packageManager = new PackageManager(db);
+  let mini;
+
+  if      (command === 'list')      { mini = packageManager.list(); }
+  else if (command === 'install')   { mini = await packageManager.install(target, args); }
+  else if (command === 'update')    { mini = await packageManager.update(target, args); }
+  else if (command === 'rollback')  { mini = await packageManager.rollback(target); }
+  else if (command === 'uninstall') { mini = await packageManager.uninstall(target); }
+  else {
+    Helpers.log(usage);
+    process.exit(1);
+  }
+
+  if (!mini.status) {
+    Helpers.log({leader: 'error', loud: true}, mini.errorMessage);
+    process.exit(1);
+  }
+
+  if (command === 'list') { Helpers.log({loud: true}, mini.result); }
+}
+
+main();
@@ -12,7 +12,7 @@
        sender:       {string},
        receiver:     {string},
        apiCall:      {string},
-       returnCode:   {int},
+       returnCode:   {string},
        // This is the original data from api call.  Used in debugging.
        bdata:        {object},
        // Return data from api. MUST be returned as an object.
@@ -20,6 +20,8 @@
          status:       {bool},
          // If status is false, this must exist.
          errorMessage: {string},
+         // Optional machine readable error, ie. 'API_TIMEOUT'.
+         errorCode:    {string},
      }
 
 // Function Returns